@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+// bin/stalcrafter.js
+// One command line for the poller and its archive.
+//
+//   stalcrafter poll [--region na,eu] [--only key,...] [--dry-run]
+//   stalcrafter item <key|id> [--region na] [--outliers 10] [--json]
+//   stalcrafter add-item <id> [--key k] [--label "Name"] [--divisor n] [--category c]
+//   stalcrafter export [key|id ...] [--region na] [--format json|csv] [--out file]
+//   stalcrafter backfill [key|id] [--since 2026-07-01] [--region na] [--queue | --status]
+//   stalcrafter enrich [--refresh]
+//   stalcrafter replay [--json]
+//
+// `poll` is the scheduled run (fetch_and_compute.js) with a narrower scope.
+// `item`, `export` and `replay` read local files only and never touch the network. `enrich`
+// and `add-item` consult the item database (lib/item_db.js). Every
+// command works in the current directory and takes the same environment
+// variables as the poller.
+
+import fs from "fs";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+import { run, DEFAULT_REGION, REQUEST_BUDGET } from "../fetch_and_compute.js";
+import { Source } from "../lib/source.js";
+import { sourceOptions } from "../lib/env.js";
+import { loadBackfills, queueBackfill, runBackfills, backfillAllowance } from "../lib/backfill.js";
+import { parseRegions } from "../lib/feeds.js";
+import { loadItems, findItem, addItem } from "../lib/items.js";
+import { itemDatabase, enrichItems } from "../lib/item_db.js";
+import { PayloadArchive, replayQuarantine } from "../lib/quarantine.js";
+import { loadHistory, loadRollups, CorruptHistoryError } from "../lib/store.js";
+import { itemSummary } from "../lib/stats.js";
+import { writeFileAtomic } from "../lib/files.js";
+
+const USAGE = `Usage:
+  stalcrafter poll [--region na,eu] [--only key,...] [--dry-run]
+  stalcrafter item <key|id> [--region na] [--outliers 10] [--json]
+  stalcrafter add-item <id> [--key k] [--label "Name"] [--divisor n] [--category c]
+  stalcrafter export [key|id ...] [--region na] [--format json|csv] [--out file]
+  stalcrafter backfill [key|id] [--since 2026-07-01] [--region na] [--queue | --status]
+  stalcrafter enrich [--refresh]
+  stalcrafter replay [--json]`;
+
+/** A mistake in how the command was called, reported with the usage text. */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const list = (value) => (value ? value.split(",").map((s) => s.trim()).filter(Boolean) : null);
+
+/** Resolve keys or ids against items.json, naming any it does not list. */
+function resolveItems(items, wanted) {
+  const unknown = wanted.filter((w) => !findItem(items, w));
+  if (unknown.length) throw new UsageError(`Not in items.json: ${unknown.join(", ")}`);
+  return wanted.map((w) => findItem(items, w));
+}
+
+/** An item's stored history, with a pointer to the repair tool when it is damaged. */
+async function readStored(region, id) {
+  try {
+    return { history: await loadHistory(region, id), rollups: await loadRollups(region, id) };
+  } catch (err) {
+    if (err instanceof CorruptHistoryError) err.message += "; run `npm run verify-history -- --repair`";
+    throw err;
+  }
+}
+
+// A backfill with no --since reaches back as far as raw trades are kept.
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS || 90);
+
+const fmt = (n) => (n === null || n === undefined ? "-" : String(n));
+
+/** Rows of cells as left-aligned columns. */
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => String(r[i]).length)));
+  return rows.map((r) => r.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd()).join("\n");
+}
+
+const COMMANDS = {
+  async poll({ values }) {
+    const regions = values.region ? parseRegions(values.region) : undefined;
+    const { source } = await run({ regions, only: list(values.only), dryRun: values["dry-run"] });
+    return source.banned ? 1 : 0;
+  },
+
+  async item({ values, positionals }) {
+    if (positionals.length !== 1) throw new UsageError("item takes one key or id");
+    const [item] = resolveItems(await loadItems(), positionals);
+    const region = values.region ?? DEFAULT_REGION;
+    const { history, rollups } = await readStored(region, item.id);
+    const summary = itemSummary(history.trades, rollups, { key: item.key });
+    const limit = Number(values.outliers ?? 10);
+    const outliers = summary.w7.outliers.sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, limit);
+
+    if (values.json) {
+      const { windows, quality, trend } = summary;
+      const report = {
+        region, key: item.key, id: item.id, label: item.label ?? item.key,
+        storedTrades: history.trades.length, rollupDays: rollups.length, newest: history.trades[0]?.time ?? null,
+        windows, quality, trend, outliers
+      };
+      console.log(JSON.stringify(report, null, 2));
+      return 0;
+    }
+
+    console.log(`${item.label ?? item.key} (${item.key}, ${item.id}) in ${region}`);
+    console.log(
+      `${history.trades.length} stored trades` +
+        (history.trades.length ? `, newest ${history.trades[0].time}` : "") +
+        (rollups.length ? `, ${rollups.length} rolled-up days` : "")
+    );
+    if (!history.trades.length && !rollups.length) {
+      console.log("Nothing stored yet; run `stalcrafter poll --only " + item.key + "`.");
+      return 0;
+    }
+
+    console.log("\nWindows (per unit)");
+    console.log(table([
+      ["window", "avg", "median", "p25", "p75", "min", "max", "clean/count"],
+      ...Object.entries(summary.windows).map(([name, w]) => [
+        name, fmt(w.avg), fmt(w.median), fmt(w.p25), fmt(w.p75), fmt(w.min), fmt(w.max), `${w.clean}/${w.count}`
+      ])
+    ]));
+
+    const tiers = summary.quality.windows["7d"];
+    if (tiers.length) {
+      const spread = summary.quality.spread ? `, spread ${summary.quality.spread.toFixed(1)}x` : "";
+      console.log(`\nQuality tiers, 7d${spread}`);
+      console.log(table([
+        ["tier", "avg", "median", "min", "max", "clean/count"],
+        ...tiers.map((t) => [t.quality, fmt(t.avg), fmt(t.median), fmt(t.min), fmt(t.max), `${t.clean}/${t.count}`])
+      ]));
+    }
+
+    console.log(`\nRecent outliers, 7d (${summary.w7.outliersRemoved} removed)`);
+    if (outliers.length) {
+      console.log(table([
+        ["time", "unit price", "price", "amount", "tier"],
+        ...outliers.map((o) => [o.timestamp, o.unitPrice, o.price, o.amount, o.quality])
+      ]));
+    } else {
+      console.log("none");
+    }
+    return 0;
+  },
+
+  async "add-item"({ values, positionals }) {
+    if (positionals.length !== 1) throw new UsageError("add-item takes one item id");
+    const [id] = positionals;
+    // The database catches typos and supplies the name and category. Offline,
+    // the id is only checked for shape.
+    let database = null;
+    try {
+      database = await itemDatabase();
+    } catch (err) {
+      console.warn(`Item database unavailable (${err.message}); adding ${id} without checking it.`);
+    }
+    const known = database?.items[id];
+    if (database && !known) throw new Error(`${id} is not in the item database; check the id`);
+    const entry = await addItem({
+      id,
+      key: values.key,
+      label: values.label ?? known?.name,
+      divisor: values.divisor === undefined ? undefined : Number(values.divisor),
+      category: values.category ?? known?.category
+    });
+    console.log(`Added ${entry.key} (${entry.id}) to items.json; the next poll picks it up.`);
+    return 0;
+  },
+
+  async export({ values, positionals }) {
+    const format = values.format ?? "json";
+    if (!["json", "csv"].includes(format)) throw new UsageError(`Unknown format "${format}"`);
+    const all = await loadItems();
+    const items = positionals.length ? resolveItems(all, positionals) : all;
+    const region = values.region ?? DEFAULT_REGION;
+
+    const dumped = [];
+    for (const item of items) {
+      const { history, rollups } = await readStored(region, item.id);
+      dumped.push({ key: item.key, id: item.id, label: item.label ?? item.key, trades: history.trades, rollups });
+    }
+
+    let text;
+    if (format === "csv") {
+      const rows = [["region", "key", "id", "time", "price", "amount", "quality"]];
+      for (const { key, id, trades } of dumped) {
+        for (const t of trades) rows.push([region, key, id, t.time, t.price, t.amount, t.additional?.qlt ?? ""]);
+      }
+      text = rows.map((r) => r.join(",")).join("\n") + "\n";
+    } else {
+      text = JSON.stringify({ region, exported: new Date().toISOString(), items: dumped }, null, 2) + "\n";
+    }
+
+    if (values.out) {
+      await writeFileAtomic(values.out, text);
+      const trades = dumped.reduce((n, d) => n + d.trades.length, 0);
+      console.log(`Wrote ${trades} trades for ${dumped.length} item(s) to ${values.out}`);
+    } else {
+      process.stdout.write(text);
+    }
+    return 0;
+  },
+
+  async enrich({ values }) {
+    const { filled, unknown, mismatched } = await enrichItems({ refresh: values.refresh });
+    for (const line of filled) console.log(`filled ${line}`);
+    for (const line of mismatched) console.log(`category differs, left as it is: ${line}`);
+    if (unknown.length) console.log(`Not in the item database (typos?): ${unknown.join(", ")}`);
+    console.log(`${filled.length} item(s) enriched, ${unknown.length} unknown`);
+    return unknown.length ? 1 : 0;
+  },
+
+  async backfill({ values, positionals }) {
+    if (positionals.length > 1) throw new UsageError("backfill takes at most one key or id");
+    if (positionals.length) {
+      const [item] = resolveItems(await loadItems(), positionals);
+      const since = values.since ?? new Date(Date.now() - RETENTION_DAYS * 86_400_000).toISOString().slice(0, 10);
+      const job = await queueBackfill({ region: values.region ?? DEFAULT_REGION, key: item.key, id: item.id, since });
+      console.log(`Queued ${job.region}/${job.key} back to ${job.target}, from page ${job.nextPage}`);
+      if (values.queue) return 0;
+    }
+
+    if (values.status) {
+      const { jobs } = await loadBackfills();
+      if (!jobs.length) {
+        console.log("No backfill jobs.");
+        return 0;
+      }
+      console.log(table([
+        ["job", "target", "reached", "next page", "added", "status"],
+        ...jobs.map((j) => [
+          `${j.region}/${j.key}`, j.target.slice(0, 10), j.oldest ?? "-", j.nextPage, j.added,
+          j.finished ? `done (${j.stop})` : j.stop ?? "queued"
+        ])
+      ]));
+      return 0;
+    }
+
+    const source = new Source({ ...sourceOptions(), region: DEFAULT_REGION, archive: new PayloadArchive() });
+    const summary = await runBackfills(source, { allowance: backfillAllowance(REQUEST_BUDGET, 0) });
+    console.log(`${summary.requests} requests, ${summary.added} trades added, ${summary.finished.length} job(s) finished`);
+    return source.banned ? 1 : 0;
+  },
+
+  async replay({ values }) {
+    const report = await replayQuarantine();
+    if (values.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return 0;
+    }
+    console.log(
+      `${report.rejected} rejected page(s), ${report.accepted} accepted sample(s)` +
+        (report.crossChecked ? `; ${report.crossChecked} rejected by the history cross-check, not replayed` : "")
+    );
+    const reasons = Object.entries(report.reasons).sort((a, b) => b[1] - a[1]);
+    if (reasons.length) {
+      console.log("\nRejected pages, by what the validator says now");
+      console.log(table([["count", "verdict"], ...reasons.map(([reason, count]) => [count, reason])]));
+    }
+    for (const [title, list] of [
+      ["False-negative candidates (rejected then, accepted now)", report.falseNegatives],
+      ["False-positive candidates (rejected now, but look real)", report.falsePositives]
+    ]) {
+      console.log(`\n${title}: ${list.length}`);
+      for (const c of list) console.log(`  ${c.savedAt}  ${c.url}\n    was: ${c.was}\n    now: ${c.now}`);
+    }
+    return 0;
+  }
+};
+
+const OPTIONS = {
+  region: { type: "string" },
+  only: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  outliers: { type: "string" },
+  json: { type: "boolean", default: false },
+  key: { type: "string" },
+  label: { type: "string" },
+  divisor: { type: "string" },
+  category: { type: "string" },
+  format: { type: "string" },
+  out: { type: "string" },
+  since: { type: "string" },
+  queue: { type: "boolean", default: false },
+  status: { type: "boolean", default: false },
+  refresh: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+/** Run one command line (without `node` and the script); resolves with the exit code. */
+export async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return command || parsed.values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+  try {
+    return await COMMANDS[command]({ values: parsed.values, positionals });
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error(`stalcrafter ${command}: ${err.message}`);
+    return 1;
+  }
+}
+
+// npm links the bin, so compare against the real path of what was run.
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  process.exitCode = await main(process.argv.slice(2));
+}
@@ -1,13 +1,98 @@
 // drop_in.js
 // Pure ESM, browser-ready
-// Provides getItemStats(id) -> { 24h, 7d }
+// Provides getItemStats(id) -> { stats24h, stats7d } straight from stalcraftdb.
+//
+// Built on the poller's own modules: lib/source.js fetches (pacing, stub checks,
+// the 420 abort) and lib/stats.js computes, so the same trades give the same
+// numbers here as in prices.json.
+//
+// Fetched trades are kept in a trade cache (see trade_cache.js). With a cache,
+// a lookup walks only until it reaches trades it already has. When the live call
+// fails, or every page is rejected, the numbers come from the cache and the
+// committed history/ archive instead, and the result says so.
 
-import { fetchItemHistory } from "./fetch_item.js";
-import { computeWindowStats } from "./compute_stats.js";
+import { Source, knownFrom } from "../lib/source.js";
+import { normalise, computeWindowStats, tierWindowStats } from "../lib/stats.js";
+import { mergeTrades, timeOf, tradeKey } from "../lib/history_codec.js";
+import { openTradeCache } from "./trade_cache.js";
+import { loadPublishedHistory } from "./history.js";
 
-export async function getItemStats(id, region = "na") {
-  const trades = await fetchItemHistory(id, { region });
-  const stats24h = computeWindowStats(trades, 1, { key: id });
-  const stats7d = computeWindowStats(trades, 7, { key: id });
-  return { id, stats24h, stats7d };
+const DAY = 86_400_000;
+// history/ beside the pages, wherever this module is loaded from.
+const HISTORY_BASE = new URL("../history", import.meta.url).href.replace(/\/$/, "");
+
+// One Source and one cache per page, so pacing and a ban cover every lookup the
+// page makes, and the cache is opened once.
+let shared = null;
+let sharedCache = null;
+
+/**
+ * Where the trades in a window came from: `{live, cache, history}` counts. A
+ * trade the live call returned counts as live even if it was cached too.
+ */
+function originsIn(trades, origin, days, now) {
+  const from = { live: 0, cache: 0, history: 0 };
+  for (const trade of trades) if (timeOf(trade) >= now - days * DAY) from[origin.get(tradeKey(trade))]++;
+  return from;
+}
+
+/**
+ * 24h and 7d stats for one item, as computeWindowStats gives them to the poller,
+ * plus the 7d quality tiers and the trades they came from. `sources` lists where
+ * the trades came from ("live", "cache", "history"), `from` breaks each window
+ * down the same way, and `live` says how the live call went. `source` and `cache`
+ * replace the shared ones, for another host or settings; `historyBase` is the
+ * URL of the history/ directory.
+ */
+export async function getItemStats(id, region = "na", { source = null, cache = null, maxPages = 5, historyBase = HISTORY_BASE } = {}) {
+  source ??= shared ??= new Source({ userAgent: null });
+  cache ??= await (sharedCache ??= openTradeCache());
+
+  const cached = await cache.get(region, id);
+  const origin = new Map((cached?.trades ?? []).map((t) => [tradeKey(t), "cache"]));
+  const live = { ok: false, pages: { accepted: 0, rejected: 0 }, stop: null, error: null };
+  let trades = cached?.trades ?? [];
+
+  try {
+    const fetched = await source.fetchHistory(id, {
+      region,
+      maxPages,
+      windowDays: 7,
+      known: knownFrom(trades),
+      incremental: true
+    });
+    live.pages = { accepted: fetched.acceptedPages, rejected: fetched.rejectedPages };
+    live.stop = fetched.stop;
+    if (!fetched.acceptedPages) throw new Error(`every page was rejected (${fetched.rejectedPages})`);
+    live.ok = true;
+    for (const trade of fetched.prices) origin.set(tradeKey(trade), "live");
+    trades = (await cache.merge(region, id, fetched.prices)).record.trades;
+  } catch (err) {
+    live.error = err.message;
+    // The archive the poller commits is the next best thing; it may reach
+    // further back than the cache, or fill in a cache that was never filled.
+    const published = await loadPublishedHistory(region, id, { base: historyBase }).catch(() => null);
+    if (published?.trades.length) {
+      for (const trade of published.trades) if (!origin.has(tradeKey(trade))) origin.set(tradeKey(trade), "history");
+      trades = mergeTrades(trades, published.trades).trades;
+      await cache.merge(region, id, published.trades);
+    }
+    if (!trades.length) throw new Error(`No live data for ${id} (${err.message}), and nothing cached or published`);
+  }
+
+  const now = Date.now();
+  const normalized = normalise(trades);
+  const sources = ["live", "cache", "history"].filter((o) => trades.some((t) => origin.get(tradeKey(t)) === o));
+  return {
+    id,
+    region,
+    sources,
+    from: { "24h": originsIn(trades, origin, 1, now), "7d": originsIn(trades, origin, 7, now) },
+    live,
+    stats24h: computeWindowStats(normalized, 1, { key: id, preNormalised: true }),
+    stats7d: computeWindowStats(normalized, 7, { key: id, preNormalised: true }),
+    tiers7d: tierWindowStats(normalized, 7, { key: id, preNormalised: true }),
+    pages: live.pages,
+    trades
+  };
 }
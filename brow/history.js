@@ -0,0 +1,35 @@
+// history.js
+// ESM, browser (no npm deps)
+// Reads an item's published archive: the history/<region>/<id>/index.json
+// manifest and the monthly shards it lists, decoded by lib/history_codec.js.
+
+import { decodeShard } from "../lib/history_codec.js";
+
+async function getJson(url) {
+  const resp = await fetch(url, { cache: "no-store" });
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} fetching ${url}`);
+  return resp.json();
+}
+
+/**
+ * `{region, id, updated, count, trades}` with trades newest first, or null when
+ * the item has no archive. `base` is the URL of the history/ directory, and
+ * `sinceMonth` ("2026-08") skips older shards.
+ */
+export async function loadPublishedHistory(region, id, { base = "history", sinceMonth = null } = {}) {
+  const manifest = await getJson(`${base}/${region}/${id}/index.json`);
+  if (!manifest) {
+    // An archive that predates sharding is one file of trade objects.
+    const legacy = await getJson(`${base}/${region}/${id}.json`);
+    return legacy ? { ...legacy, count: legacy.trades?.length ?? 0, trades: legacy.trades ?? [] } : null;
+  }
+
+  const months = Object.keys(manifest.shards ?? {})
+    .filter((month) => !sinceMonth || month >= sinceMonth)
+    .sort()
+    .reverse();
+  const shards = await Promise.all(months.map((month) => getJson(`${base}/${region}/${id}/${month}.json`)));
+  const trades = shards.filter(Boolean).flatMap(decodeShard);
+  return { region, id, updated: manifest.updated, count: trades.length, trades };
+}
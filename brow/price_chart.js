@@ -0,0 +1,241 @@
+// price_chart.js
+// ESM, browser (no npm deps)
+// Canvas price-history chart for one item, drawn from the archive the poller
+// publishes under history/<region>/<id>/ (see history.js).
+//
+// Each raw trade is a dot at its unit price. Trades the MAD filter rejects are
+// drawn as crosses, so you can see what the feed left out and why. A rolling
+// median over the clean trades shows the level the averages follow. MAD runs
+// within each quality tier, as in lib/stats.js, and every tier gets its own
+// colour, median line and toggle: on gear the tiers sit far apart, and one line
+// through all of them would describe no real price.
+
+import { median, detectOutliers, parseTimestampToMs, tierOf } from "../lib/stats.js";
+
+const DAY = 86_400_000;
+
+/** Selectable ranges, and the trailing window the rolling median uses in each. */
+export const RANGES = {
+  "24h": { days: 1, medianWindow: DAY / 24 },
+  "7d": { days: 7, medianWindow: DAY / 4 },
+  "30d": { days: 30, medianWindow: DAY },
+  "90d": { days: 90, medianWindow: 3 * DAY }
+};
+
+const TIER_COLOURS = ["#2b6cb0", "#047857", "#7c3aed", "#b45309", "#be185d", "#0e7490", "#4d7c0f"];
+const OUTLIER_COLOUR = "#b91c1c";
+
+/**
+ * The points and median lines for one range. Pure, so the tests can check it
+ * without a canvas. `hiddenTiers` only affects what is drawn; the outlier flags
+ * are computed over every tier in the range either way.
+ */
+export function chartSeries(trades, { range = "7d", now = Date.now(), hiddenTiers = [] } = {}) {
+  const { days, medianWindow } = RANGES[range] ?? RANGES["7d"];
+  const from = now - days * DAY;
+
+  const points = (Array.isArray(trades) ? trades : [])
+    .map((p) => {
+      const amount = Number(p.amount || 1);
+      const qlt = Number.isFinite(Number(p.additional?.qlt)) ? Number(p.additional.qlt) : null;
+      return { ts: parseTimestampToMs(p.time), unitPrice: Number(p.price) / amount, qlt };
+    })
+    .filter((p) => p.ts >= from && p.ts <= now && Number.isFinite(p.unitPrice) && p.unitPrice > 0)
+    .sort((a, b) => a.ts - b.ts);
+
+  const byTier = new Map();
+  for (const point of points) {
+    const tier = tierOf(point);
+    if (!byTier.has(tier)) byTier.set(tier, []);
+    byTier.get(tier).push(point);
+  }
+
+  const tiers = [...byTier.keys()].sort((a, b) => (a === "unknown" ? 1 : b === "unknown" ? -1 : a - b));
+  const lines = [];
+  for (const [tier, group] of byTier) {
+    const flags = detectOutliers(group.map((p) => p.unitPrice));
+    group.forEach((p, i) => { p.outlier = flags[i]; });
+    if (hiddenTiers.includes(tier)) continue;
+
+    const clean = group.filter((p) => !p.outlier);
+    const line = [];
+    let start = 0;
+    for (let i = 0; i < clean.length; i++) {
+      while (clean[start].ts < clean[i].ts - medianWindow) start++;
+      line.push({ ts: clean[i].ts, value: median(clean.slice(start, i + 1).map((p) => p.unitPrice)) });
+    }
+    lines.push({ tier, points: line });
+  }
+
+  const visible = points.filter((p) => !hiddenTiers.includes(tierOf(p)));
+  return {
+    range,
+    from,
+    to: now,
+    tiers,
+    points: visible,
+    lines,
+    outliers: visible.filter((p) => p.outlier).length
+  };
+}
+
+function colourFor(tiers, tier) {
+  const i = tiers.indexOf(tier);
+  return i < 0 ? TIER_COLOURS[0] : TIER_COLOURS[i % TIER_COLOURS.length];
+}
+
+const compact = new Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 });
+
+/** Draw a chartSeries result onto a canvas, sized to its CSS box. */
+export function drawPriceChart(canvas, series, { dark = false } = {}) {
+  const ratio = globalThis.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 640;
+  const height = canvas.clientHeight || 280;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const ink = dark ? "#e0e0e0" : "#0f1724";
+  const grid = dark ? "rgba(255,255,255,0.08)" : "rgba(15,23,36,0.08)";
+  ctx.font = "12px system-ui, sans-serif";
+  ctx.fillStyle = ink;
+
+  if (!series.points.length) {
+    ctx.fillText("No trades in this range.", 12, height / 2);
+    return;
+  }
+
+  const pad = { left: 56, right: 12, top: 12, bottom: 24 };
+  const prices = series.points.map((p) => p.unitPrice);
+  let lo = Math.min(...prices);
+  let hi = Math.max(...prices);
+  // Quality tiers can sit orders of magnitude apart; a log scale keeps them all
+  // readable on one chart.
+  const log = hi / lo > 50;
+  if (lo === hi) { lo *= 0.95; hi *= 1.05; }
+  const scale = log ? Math.log10 : (v) => v;
+  const [sLo, sHi] = [scale(lo), scale(hi)];
+
+  const x = (ts) => pad.left + ((ts - series.from) / (series.to - series.from)) * (width - pad.left - pad.right);
+  const y = (v) => height - pad.bottom - ((scale(v) - sLo) / (sHi - sLo)) * (height - pad.top - pad.bottom);
+
+  ctx.strokeStyle = grid;
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  for (let i = 0; i <= 4; i++) {
+    const value = log ? 10 ** (sLo + ((sHi - sLo) * i) / 4) : lo + ((hi - lo) * i) / 4;
+    const yy = y(value);
+    ctx.beginPath();
+    ctx.moveTo(pad.left, yy);
+    ctx.lineTo(width - pad.right, yy);
+    ctx.stroke();
+    ctx.fillText(compact.format(value), pad.left - 6, yy);
+  }
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  const span = series.to - series.from;
+  for (let i = 0; i <= 4; i++) {
+    const ts = series.from + (span * i) / 4;
+    const date = new Date(ts);
+    const label = span <= DAY ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : date.toLocaleDateString();
+    ctx.fillText(label, x(ts), height - pad.bottom + 6);
+  }
+
+  for (const p of series.points) {
+    const px = x(p.ts);
+    const py = y(p.unitPrice);
+    if (p.outlier) {
+      ctx.strokeStyle = OUTLIER_COLOUR;
+      ctx.beginPath();
+      ctx.moveTo(px - 3, py - 3); ctx.lineTo(px + 3, py + 3);
+      ctx.moveTo(px + 3, py - 3); ctx.lineTo(px - 3, py + 3);
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = colourFor(series.tiers, tierOf(p));
+      ctx.globalAlpha = 0.45;
+      ctx.beginPath();
+      ctx.arc(px, py, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  ctx.lineWidth = 2;
+  for (const line of series.lines) {
+    if (!line.points.length) continue;
+    ctx.strokeStyle = colourFor(series.tiers, line.tier);
+    ctx.beginPath();
+    line.points.forEach((p, i) => (i ? ctx.lineTo(x(p.ts), y(p.value)) : ctx.moveTo(x(p.ts), y(p.value))));
+    ctx.stroke();
+  }
+  ctx.lineWidth = 1;
+}
+
+/**
+ * Build the chart widget (range buttons, tier toggles, canvas, legend) inside
+ * `container` for a list of raw trades. Returns a function that redraws it.
+ */
+export function mountPriceChart(container, trades, { title = "", dark = false } = {}) {
+  container.innerHTML = "";
+  let range = "7d";
+  const hiddenTiers = [];
+
+  const head = document.createElement("div");
+  head.style.cssText = "display:flex;gap:6px;align-items:center;flex-wrap:wrap;margin-bottom:8px";
+  const heading = document.createElement("strong");
+  heading.textContent = title;
+  heading.style.marginRight = "auto";
+  head.appendChild(heading);
+
+  const buttons = Object.keys(RANGES).map((name) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = name;
+    button.addEventListener("click", () => { range = name; redraw(); });
+    head.appendChild(button);
+    return button;
+  });
+
+  const toggles = document.createElement("div");
+  toggles.style.cssText = "display:flex;gap:10px;flex-wrap:wrap;font-size:13px;margin-bottom:6px";
+  const canvas = document.createElement("canvas");
+  canvas.style.cssText = "width:100%;height:280px;display:block";
+  const legend = document.createElement("div");
+  legend.style.cssText = "font-size:13px;opacity:0.75;margin-top:6px";
+
+  container.append(head, toggles, canvas, legend);
+
+  function redraw() {
+    const series = chartSeries(trades, { range, hiddenTiers });
+    buttons.forEach((b) => { b.style.opacity = b.textContent === range ? "1" : "0.55"; });
+
+    // Toggles only matter when there is more than one tier to choose between.
+    toggles.innerHTML = "";
+    if (series.tiers.length > 1) {
+      for (const tier of series.tiers) {
+        const label = document.createElement("label");
+        label.style.color = colourFor(series.tiers, tier);
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.checked = !hiddenTiers.includes(tier);
+        box.addEventListener("change", () => {
+          const at = hiddenTiers.indexOf(tier);
+          if (box.checked && at >= 0) hiddenTiers.splice(at, 1);
+          if (!box.checked && at < 0) hiddenTiers.push(tier);
+          redraw();
+        });
+        label.append(box, ` tier ${tier}`);
+        toggles.appendChild(label);
+      }
+    }
+
+    drawPriceChart(canvas, series, { dark });
+    legend.textContent = `${series.points.length} trades · ${series.outliers} MAD outliers (crosses) · line: rolling median of clean trades`;
+  }
+
+  redraw();
+  return redraw;
+}
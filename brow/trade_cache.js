@@ -0,0 +1,80 @@
+// trade_cache.js
+// ESM, browser (no npm deps)
+// Keeps the trades the browser has fetched, per region and item, in IndexedDB.
+//
+// Without it, every lookup walked a week of pages again and had nothing to show
+// when the host rate-limited or served stubs. Pages are merged with mergeTrades
+// from lib/history_codec.js, the same `time|price|amount` dedup lib/store.js
+// uses, so the cache holds what the archive would. Trades older than
+// `maxAgeDays` are dropped, as the archive drops raw trades past retention.
+// Where IndexedDB is missing (a private window, Node), the cache lives in memory
+// for the page's lifetime instead.
+
+import { mergeTrades, timeOf } from "../lib/history_codec.js";
+
+const DAY = 86_400_000;
+
+/** The promise for an IndexedDB request's result. */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** A key-value store in IndexedDB, or null when the browser has none. */
+export async function indexedDbStore({ indexedDB = globalThis.indexedDB, name = "stalcrafter-trades" } = {}) {
+  if (!indexedDB) return null;
+  const open = indexedDB.open(name, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore("items");
+  const db = await request(open);
+  const items = (mode) => db.transaction("items", mode).objectStore("items");
+  return {
+    get: async (key) => (await request(items("readonly").get(key))) ?? null,
+    put: (key, value) => request(items("readwrite").put(value, key))
+  };
+}
+
+/** The same interface over a Map, for when IndexedDB is unavailable. */
+export function memoryStore() {
+  const map = new Map();
+  return {
+    get: async (key) => map.get(key) ?? null,
+    put: async (key, value) => {
+      map.set(key, value);
+    }
+  };
+}
+
+export class TradeCache {
+  constructor(store = memoryStore(), { maxAgeDays = 90 } = {}) {
+    this.store = store;
+    this.maxAgeDays = maxAgeDays;
+  }
+
+  /** `{region, id, updated, trades}` with trades newest first, or null when nothing is cached. */
+  async get(region, id) {
+    return this.store.get(`${region}/${id}`);
+  }
+
+  /** Merge `trades` into an item's entry. Returns the entry and how many trades were new. */
+  async merge(region, id, trades) {
+    const cached = await this.get(region, id);
+    const merged = mergeTrades(cached?.trades, trades);
+    const cutoff = Date.now() - this.maxAgeDays * DAY;
+    const record = {
+      region,
+      id,
+      updated: new Date().toISOString(),
+      trades: merged.trades.filter((t) => timeOf(t) >= cutoff)
+    };
+    await this.store.put(`${region}/${id}`, record);
+    return { record, added: merged.added };
+  }
+}
+
+/** A cache in IndexedDB where there is one, in memory otherwise. */
+export async function openTradeCache(options = {}) {
+  const store = await indexedDbStore(options).catch(() => null);
+  return new TradeCache(store ?? memoryStore(), options);
+}
@@ -4,111 +4,298 @@
 // Polls stalcraftdb auction-history for the items in items.json, merges each run
 // into history/, and writes:
 //
-//   prices.json / prices.csv  weighted 24h & 7d per-unit averages (schema
-//                             unchanged — the crafting calculator reads these)
-//   outliers.json             audit trail of MAD-removed trades
-//   market.json               richer feed: windows, quality tiers, provenance
+//   feeds/<region>/, per region:
+//     prices.json / prices.csv  weighted 24h & 7d per-unit averages (schema
+//                               unchanged — the crafting calculator reads these)
+//     outliers.json             audit trail of MAD-removed trades
+//     market.json               richer feed: windows, quality tiers, provenance
+//     changes.json              what moved since the previous run, last runs kept
+//   feeds/index.json            the regions that have a feed
+//   candles/<region>/           hourly and daily candles per item
+//   run_history.json            each run's request, stub and ban counts, which
+//                               status.html charts
+//
+// The default region's feed files are also written at the root, which is where
+// the calculator looks.
 //
 // The host hands out synthetic stubs at random and bans clients that exceed its
 // rate limit, so see lib/source.js for how both are handled.
+//
+// `node fetch_and_compute.js` is the scheduled run. The `stalcrafter poll`
+// command (bin/stalcrafter.js) calls run() with a narrower region list, a
+// subset of items or a dry run.
 
 import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
 import { Source, BannedError } from "./lib/source.js";
-import { computeWindowStats, qualityTiers, normalise } from "./lib/stats.js";
-import { mergeHistory } from "./lib/store.js";
+import { sourceOptions, STATS_SETTINGS } from "./lib/env.js";
+import { normalise, candles, itemSummary } from "./lib/stats.js";
+import { mergeHistory, knownTrades, loadHistory, CorruptHistoryError } from "./lib/store.js";
+import { repairItem } from "./lib/verify.js";
+import {
+  loadItems, findItem, ItemsFileError, loadUntradeable, saveUntradeable, skipReason, recordPoll
+} from "./lib/items.js";
+import { itemDatabase, loadNamesCache, unknownIds } from "./lib/item_db.js";
+import { runBackfills, backfillAllowance } from "./lib/backfill.js";
+import { PayloadArchive } from "./lib/quarantine.js";
+import { parseRegions, feedPaths, updateFeedIndex, writeCandles } from "./lib/feeds.js";
+import { signalsFor, planRun } from "./lib/schedule.js";
+import { Checkpoint, loadCheckpoint, unfinished } from "./lib/checkpoint.js";
+import { loadRules, evaluateRules, loadAlertState, updateAlertState, postWebhook } from "./lib/alerts.js";
+import { diffFeeds, appendRun } from "./lib/changes.js";
+import { runEntry, recordRun } from "./lib/run_history.js";
+import { writeFileAtomic, writeJsonAtomic } from "./lib/files.js";
+import { upgrade, stamp } from "./lib/schema.js";
 
-const REGION = process.env.REGION || "na";
+// REGIONS takes a comma-separated list; REGION is the older single-region name.
+export const REGIONS = parseRegions(process.env.REGIONS || process.env.REGION || "na");
+export const DEFAULT_REGION = (process.env.DEFAULT_REGION || REGIONS[0]).toLowerCase();
 const OUTPUT_JSON = process.env.OUTPUT_JSON || "prices.json";
 const OUTPUT_CSV = OUTPUT_JSON.replace(/\.json$/i, "") + ".csv";
 const OUTLIERS_JSON = process.env.OUTLIERS_JSON || "outliers.json";
 const MARKET_JSON = process.env.MARKET_JSON || "market.json";
-const ITEMS_FILE = process.env.ITEMS_FILE || "items.json";
+const CHANGES_JSON = process.env.CHANGES_JSON || "changes.json";
+// A move of at least this many percent in avg24h or avg7d is listed in changes.json.
+const CHANGE_THRESHOLD_PCT = Number(process.env.CHANGE_THRESHOLD_PCT || 5);
+const CHANGES_KEEP_RUNS = Number(process.env.CHANGES_KEEP_RUNS || 50);
+const CHANGES_TOP_MOVERS = Number(process.env.CHANGES_TOP_MOVERS || 10);
 const MAX_PAGES = Number(process.env.MAX_PAGES || 10);
+// Stop each walk once it overlaps stored history. INCREMENTAL=0 forces full walks.
+const INCREMENTAL = process.env.INCREMENTAL !== "0";
+// Requests a whole run may spend, shared evenly between regions. 0 means no cap;
+// items are still polled highest priority first.
+export const REQUEST_BUDGET = Number(process.env.REQUEST_BUDGET || 0);
+// Hourly candles cover the recent past only; daily ones cover all of history/.
+const CANDLE_HOURLY_DAYS = Number(process.env.CANDLE_HOURLY_DAYS || 7);
+const ALERTS_FILE = process.env.ALERTS_FILE || "alerts.json";
+const ALERTS_OUT = process.env.ALERTS_OUT || "alerts_fired.json";
+// Stop starting new items this many minutes into the run, so the workflow's own
+// timeout never kills a run mid-item. 0 means no limit. Counted from when run()
+// starts, not from when this module was loaded.
+const RUN_TIME_LIMIT_MINUTES = Number(process.env.RUN_TIME_LIMIT_MINUTES || 0);
+
+// Set by SIGINT/SIGTERM: finish the item in hand, then wrap up as for a timeout.
+let interrupted = null;
 
-async function loadItems() {
-  const raw = JSON.parse(await fs.readFile(ITEMS_FILE, "utf8"));
-  const items = Array.isArray(raw) ? raw : raw.items;
-  if (!Array.isArray(items) || !items.length) throw new Error(`No items defined in ${ITEMS_FILE}`);
-  return items.filter((item) => item && item.key && item.id);
+/** Why a run with this deadline (ms, or null) should stop starting new work now, or null to carry on. */
+const stopReason = (deadline) => (interrupted ? "signal" : deadline && Date.now() >= deadline ? "timeout" : null);
+
+const ROOT_PATHS = { prices: OUTPUT_JSON, csv: OUTPUT_CSV, market: MARKET_JSON, outliers: OUTLIERS_JSON, changes: CHANGES_JSON };
+
+/**
+ * A region's previous output of one kind. Before feeds/ existed only the root
+ * files were written, so the default region falls back to those.
+ */
+async function readPrevious(region, kind) {
+  const candidates = [feedPaths(region)[kind]];
+  if (region === DEFAULT_REGION) candidates.push(ROOT_PATHS[kind]);
+  for (const file of candidates) {
+    try {
+      return upgrade("feed", JSON.parse(await fs.readFile(file, "utf8")));
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
 }
 
 /** Previously observed totals, used to spot a collapsed response. */
-async function loadKnownTotals() {
-  try {
-    const market = JSON.parse(await fs.readFile(MARKET_JSON, "utf8"));
-    const out = {};
-    for (const [key, entry] of Object.entries(market.items ?? {})) {
-      if (entry.reportedTotal) out[key] = entry.reportedTotal;
-    }
-    return out;
-  } catch {
-    return {};
+function knownTotalsFrom(market) {
+  const out = {};
+  for (const [key, entry] of Object.entries(market?.items ?? {})) {
+    if (entry.reportedTotal) out[key] = entry.reportedTotal;
   }
+  return out;
 }
 
 /** The last published feed, so a failed run can fall back to it. */
-async function loadPreviousPrices() {
-  try {
-    const previous = JSON.parse(await fs.readFile(OUTPUT_JSON, "utf8"));
-    return previous?.prices ?? {};
-  } catch {
-    return {};
-  }
+async function loadPreviousPrices(region) {
+  const previous = await readPrevious(region, "prices");
+  return previous?.prices ?? {};
 }
 
 const hasUsablePrice = (entry) =>
   Boolean(entry) && !entry.error && (Number.isFinite(entry.avg7d) || Number.isFinite(entry.avg24h));
 
+/** A previous price entry carried forward as stale, dated from when it first went stale. */
+function staleEntry(previous, updated) {
+  const { deferred, ...entry } = previous;
+  return { ...entry, stale: true, staleSince: previous.staleSince ?? updated };
+}
+
 function csvEscapeCell(cell) {
   if (cell === null || cell === undefined) return "";
   return `"${String(cell).replace(/"/g, '""')}"`;
 }
 
-async function main() {
-  const items = await loadItems();
-  const knownTotals = await loadKnownTotals();
-  const previousPrices = await loadPreviousPrices();
-  const source = new Source({ region: REGION });
+/**
+ * An item's stored history. A file that no longer parses is quarantined and the
+ * item rebuilt from what is left (see lib/verify.js), so one damaged file cannot
+ * fail every run from now on. A dry run repairs nothing and plans the item as if
+ * it had no history.
+ */
+async function loadHistoryOrRepair(region, id, { dryRun = false } = {}) {
+  try {
+    return await loadHistory(region, id);
+  } catch (err) {
+    if (!(err instanceof CorruptHistoryError)) throw err;
+    if (dryRun) {
+      console.warn(`${err.message}; left as it is by the dry run`);
+      return { trades: [] };
+    }
+    const { quarantined } = await repairItem(region, id);
+    console.warn(`${err.message}; repaired, quarantined ${quarantined.join(", ") || "nothing"}`);
+    return loadHistory(region, id);
+  }
+}
+
+/**
+ * Priority order and page allowances for this region; see lib/schedule.js. Also
+ * returns each item's stored history by key, loaded here once and handed on to
+ * the poll and the merge.
+ */
+async function planRegion(region, items, previousMarket, { budget, resume, dryRun }) {
+  const now = Date.now();
+  const signals = {};
+  const stored = new Map();
+  for (const item of items) {
+    const history = await loadHistoryOrRepair(region, item.id, { dryRun });
+    stored.set(item.key, history);
+    signals[item.key] = signalsFor({
+      times: history.trades.map((t) => Date.parse(t.time)).filter(Number.isFinite),
+      previous: previousMarket?.items?.[item.key] ?? null,
+      previousUpdated: previousMarket?.updated ?? null,
+      now
+    });
+  }
+  return { schedule: planRun(items, signals, { budget, maxPages: MAX_PAGES, resume }), stored };
+}
+
+/**
+ * Poll one region's items in schedule order and build its feed. A ban, a spent
+ * budget, the time limit or a signal stops the loop; the items not reached keep
+ * their previous values and stay pending in the checkpoint. With `only`, just
+ * those keys are planned and every other item keeps its published entry as it
+ * is. Ids flagged untradeable (see lib/items.js) are skipped unless named in
+ * `only`. A dry run computes the same feed without writing history or candles.
+ */
+async function pollRegion(source, region, items, { budget, deadline = null, checkpoint, resume, tradeability, only = null, dryRun = false }) {
+  const previousMarket = await readPrevious(region, "market");
+  const knownTotals = knownTotalsFrom(previousMarket);
+  const previousPrices = await loadPreviousPrices(region);
+  const untradeable = {};
+  for (const item of items) {
+    const reason = only?.has(item.key) ? null : skipReason(tradeability, region, item.id);
+    if (reason) untradeable[item.key] = reason;
+  }
+  const wanted = items.filter((item) => (!only || only.has(item.key)) && !untradeable[item.key]);
+  const { schedule, stored } = await planRegion(region, wanted, previousMarket, { budget, resume, dryRun });
+  await checkpoint.begin(region, schedule.plan.filter((p) => p.selected).map((p) => p.key));
+  let stoppedBy = null;
+  const byKey = new Map(items.map((item) => [item.key, item]));
+  const skipped = {};
+  const polled = new Set();
+  const deferred = new Set();
+  const before = { ...source.stats };
+  const incremental = { requestsSaved: 0, overlapFailures: 0, items: {} };
   let carriedForward = 0;
+  let deferredCount = 0;
 
-  const out = { updated: new Date().toISOString(), region: REGION, prices: {} };
+  const out = { updated: new Date().toISOString(), region, prices: {} };
   const market = {
     updated: new Date().toISOString(),
-    region: REGION,
+    region,
     generator: "Stalcrafter-X",
     items: {}
   };
   const allOutliers = {
     updated: new Date().toISOString(),
-    region: REGION,
+    region,
     outlierDetectionSettings: {
-      madThreshold: Number(process.env.OUTLIER_MAD_THRESHOLD || 2.5),
-      minSamplesForDetection: Number(process.env.MIN_SAMPLES_FOR_OUTLIER_DETECTION || 5)
+      madThreshold: STATS_SETTINGS.outlierMadThreshold,
+      minSamplesForDetection: STATS_SETTINGS.minSamplesForOutlierDetection
     },
     outliers: []
   };
 
-  let banned = false;
+  let banned = source.banned;
+  if (banned) {
+    console.log(`Skipping ${region}: the host banned this client earlier in the run.`);
+    stoppedBy = "ban";
+  }
 
-  for (const item of items) {
+  for (const planned of schedule.plan) {
+    if (banned) break;
+    if (!planned.selected) {
+      skipped[planned.key] = "deferred by the schedule";
+      deferred.add(planned.key);
+      continue;
+    }
+    if (interrupted) {
+      skipped[planned.key] = `run interrupted by ${interrupted} before this item`;
+      stoppedBy ??= "signal";
+      continue;
+    }
+    if (deadline && Date.now() >= deadline) {
+      skipped[planned.key] = "run time limit reached before this item";
+      stoppedBy ??= "timeout";
+      continue;
+    }
+    // Stubs and retries make the real cost higher than planned, so check what
+    // has actually been spent too.
+    if (budget && source.stats.requests - before.requests >= budget) {
+      skipped[planned.key] = "request budget spent before this item";
+      deferred.add(planned.key);
+      stoppedBy ??= "budget";
+      continue;
+    }
+
+    const item = byKey.get(planned.key);
     const { key, id } = item;
+    polled.add(key);
     try {
-      process.stdout.write(`Processing ${key} (${id})... `);
+      process.stdout.write(`[${region}] Processing ${key} (${id})... `);
 
+      // Stored history is always used for the cross-check. The schedule's
+      // page allowance assumes the walk can stop at it; without any to stop at,
+      // or with INCREMENTAL=0, the walk gets the full depth.
+      const history = stored.get(key);
+      stored.delete(key);
+      const known = await knownTrades(region, id, { stored: history });
       const fetched = await source.fetchHistory(id, {
-        maxPages: MAX_PAGES,
+        region,
+        maxPages: known && INCREMENTAL ? planned.pages : MAX_PAGES,
+        fullWalkPages: MAX_PAGES,
         windowDays: 7,
-        knownTotal: knownTotals[key] ?? null
+        knownTotal: knownTotals[key] ?? null,
+        known,
+        incremental: INCREMENTAL
       });
+      // An empty answer the host stood behind, not stubs or an error.
+      const zero = fetched.acceptedPages > 0 && !fetched.reportedTotal && !fetched.prices.length;
+      const change = recordPoll(tradeability, region, item, zero);
+      if (change === "flagged") process.stdout.write("no trades again, flagged untradeable and skipped until rechecked... ");
+      if (change === "cleared") process.stdout.write("trading again, untradeable flag cleared... ");
+      incremental.items[key] = { pages: fetched.pages, stop: fetched.stop, requestsSaved: fetched.requestsSaved };
+      if (fetched.overlap) incremental.items[key].overlap = fetched.overlap;
+      incremental.requestsSaved += fetched.requestsSaved;
+      if (fetched.overlap === "failed") incremental.overlapFailures++;
 
       // Merge into the accumulated history and compute from the union, so a run
       // that gets mostly stubs still reports on everything captured previously.
-      const { record, added } = await mergeHistory(REGION, id, fetched.prices);
+      const { record, rollups, added, rolledUp } = await mergeHistory(region, id, fetched.prices, { write: !dryRun, stored: history });
       const trades = normalise(record.trades);
+      const summary = itemSummary(trades, rollups, { key, preNormalised: true });
+      const { w24, w7 } = summary;
 
-      const w24 = computeWindowStats(trades, 1, { key, preNormalised: true });
-      const w7 = computeWindowStats(trades, 7, { key, preNormalised: true });
-      const tiers = qualityTiers(trades, { windowDays: 7, preNormalised: true });
+      if (!dryRun) {
+        await writeCandles(region, id, {
+          key,
+          hourly: candles(trades, { interval: "hour", sinceDays: CANDLE_HOURLY_DAYS, preNormalised: true }),
+          daily: candles(trades, { interval: "day", preNormalised: true })
+        });
+      }
 
       allOutliers.outliers.push(...w24.outliers, ...w7.outliers);
 
@@ -118,17 +305,14 @@ async function main() {
         const previous = previousPrices[key];
         if (hasUsablePrice(previous)) {
           carriedForward++;
-          out.prices[key] = {
-            ...previous,
-            stale: true,
-            staleSince: previous.staleSince ?? out.updated
-          };
+          out.prices[key] = staleEntry(previous, out.updated);
           market.items[key] = {
             id,
             label: item.label ?? key,
             divisor: item.divisor ?? null,
             stale: true,
             staleSince: previous.staleSince ?? out.updated,
+            lastPolled: out.updated,
             storedTrades: record.count,
             newTrades: added,
             acceptedPages: fetched.acceptedPages,
@@ -167,67 +351,148 @@ async function main() {
         label: item.label ?? key,
         divisor: item.divisor ?? null,
         reportedTotal: fetched.reportedTotal || knownTotals[key] || null,
+        lastPolled: out.updated,
         storedTrades: record.count,
         newTrades: added,
         acceptedPages: fetched.acceptedPages,
         rejectedPages: fetched.rejectedPages,
-        windows: {
-          "24h": { avg: w24.avg, median: w24.median, p25: w24.p25, p75: w24.p75, min: w24.min, max: w24.max, count: w24.count, clean: w24.cleanCount, units: w24.totalUnits },
-          "7d": { avg: w7.avg, median: w7.median, p25: w7.p25, p75: w7.p75, min: w7.min, max: w7.max, count: w7.count, clean: w7.cleanCount, units: w7.totalUnits }
-        },
-        quality: { spread: tiers.spread, tiers: tiers.tiers }
+        windows: summary.windows,
+        quality: summary.quality,
+        trend: summary.trend
       };
 
       console.log(
         `${record.count} stored (+${added} new), ${fetched.acceptedPages} pages ok` +
-          (fetched.rejectedPages ? `, ${fetched.rejectedPages} rejected` : "")
+          (fetched.rejectedPages ? `, ${fetched.rejectedPages} rejected` : "") +
+          (rolledUp ? `, ${rolledUp} days rolled up` : "") +
+          (fetched.stop === "overlap" ? `, caught up with history (~${fetched.requestsSaved} requests saved)` : "") +
+          (fetched.overlap === "failed" ? ", stored history did not match — walked in full" : "")
       );
     } catch (err) {
       if (err instanceof BannedError) {
         console.error(`\n${err.message}`);
         banned = true;
+        stoppedBy = "ban";
         break;
       }
       console.log(`failed: ${err.message}`);
       const previous = previousPrices[key];
       if (hasUsablePrice(previous)) {
         carriedForward++;
-        out.prices[key] = { ...previous, stale: true, staleSince: previous.staleSince ?? out.updated, lastError: String(err) };
+        out.prices[key] = { ...staleEntry(previous, out.updated), lastError: String(err) };
       } else {
         out.prices[key] = { id, error: String(err) };
       }
-      market.items[key] = { id, error: String(err), stale: hasUsablePrice(previous) };
+      market.items[key] = { id, error: String(err), stale: hasUsablePrice(previous), lastPolled: out.updated };
+    } finally {
+      // An item counts as done even when it failed; only a ban leaves it pending.
+      if (!banned) await checkpoint.complete(region, key);
     }
   }
 
-  // A ban breaks the loop early. Anything not reached keeps its previous values
-  // rather than vanishing from the feed.
+  // A ban breaks the loop early and the schedule defers some items outright.
+  // Anything not reached keeps its previous values rather than vanishing from
+  // the feed, and keeps its last poll time so the next plan can weigh it. An
+  // item deferred by the schedule or the budget is marked deferred, not stale:
+  // leaving it for a later run is the plan working, not a failure to reach it,
+  // so it keeps whatever staleness it already had.
   for (const item of items) {
     if (out.prices[item.key]) continue;
     const previous = previousPrices[item.key];
-    if (hasUsablePrice(previous)) {
-      carriedForward++;
-      out.prices[item.key] = { ...previous, stale: true, staleSince: previous.staleSince ?? out.updated };
-      market.items[item.key] = { id: item.id, label: item.label ?? item.key, stale: true, note: "run aborted before this item" };
+    if (only && !only.has(item.key)) {
+      if (previous) out.prices[item.key] = previous;
+      if (previousMarket?.items?.[item.key]) market.items[item.key] = previousMarket.items[item.key];
+      continue;
     }
+    if (untradeable[item.key]) {
+      if (previous) out.prices[item.key] = previous;
+      market.items[item.key] = {
+        id: item.id,
+        label: item.label ?? item.key,
+        untradeable: true,
+        lastPolled: previousMarket?.items?.[item.key]?.lastPolled ?? null,
+        note: untradeable[item.key]
+      };
+      continue;
+    }
+    if (!hasUsablePrice(previous)) continue;
+    const lastPolled = previousMarket?.items?.[item.key]?.lastPolled ?? null;
+    const note = skipped[item.key] ?? "run aborted before this item";
+    if (deferred.has(item.key)) {
+      deferredCount++;
+      out.prices[item.key] = { ...previous, deferred: true };
+      market.items[item.key] = {
+        id: item.id,
+        label: item.label ?? item.key,
+        deferred: true,
+        ...(previous.stale && { stale: true, staleSince: previous.staleSince ?? null }),
+        lastPolled,
+        note
+      };
+      continue;
+    }
+    carriedForward++;
+    out.prices[item.key] = staleEntry(previous, out.updated);
+    market.items[item.key] = {
+      id: item.id,
+      label: item.label ?? item.key,
+      stale: true,
+      staleSince: previous.staleSince ?? out.updated,
+      lastPolled,
+      note
+    };
+  }
+
+  for (const entry of schedule.plan) {
+    entry.polled = polled.has(entry.key);
+    if (entry.selected && !entry.polled) entry.reason += `; ${skipped[entry.key] ?? "run aborted before this item"}`;
   }
 
   market.source = {
-    host: "stalcraftdb.net",
-    requests: source.stats.requests,
-    stubsRejected: source.stats.stubs,
-    rateLimitHits: source.stats.rateLimited,
+    host: new URL(source.baseUrl).host,
+    requests: source.stats.requests - before.requests,
+    stubsRejected: source.stats.stubs - before.stubs,
+    rateLimitHits: source.stats.rateLimited - before.rateLimited,
     carriedForward,
-    banned
+    deferred: deferredCount,
+    untradeable: Object.keys(untradeable).length,
+    banned,
+    incremental,
+    crossCheck: crossCheckReport(source.stats, before)
   };
+  market.schedule = schedule;
   out.stale = carriedForward;
 
-  await fs.writeFile(OUTPUT_JSON, JSON.stringify(out, null, 2), "utf8");
-  console.log("Wrote", OUTPUT_JSON);
-  await fs.writeFile(MARKET_JSON, JSON.stringify(market, null, 2), "utf8");
-  console.log("Wrote", MARKET_JSON);
-  await fs.writeFile(OUTLIERS_JSON, JSON.stringify(allOutliers, null, 2), "utf8");
-  console.log(`Wrote ${OUTLIERS_JSON} with ${allOutliers.outliers.length} outliers detected`);
+  return { region, out, market, allOutliers, carriedForward, banned, stoppedBy };
+}
+
+/**
+ * The history cross-check's results for one region: pages checked, pages
+ * rejected by each check, price moves accepted because two copies of the page
+ * agreed, and the hit rate, the share of checked pages rejected.
+ */
+function crossCheckReport(stats, before) {
+  const checked = stats.crossChecked - before.crossChecked;
+  const overlapMismatches = stats.overlapMismatches - before.overlapMismatches;
+  const implausiblePrices = stats.implausiblePrices - before.implausiblePrices;
+  const rejected = overlapMismatches + implausiblePrices;
+  return {
+    checked,
+    rejected,
+    overlapMismatches,
+    implausiblePrices,
+    priceMoves: stats.priceMoves - before.priceMoves,
+    hitRate: checked ? Math.round((rejected / checked) * 1000) / 1000 : null
+  };
+}
+
+async function writeFeed({ out, market, allOutliers }, paths) {
+  await writeJsonAtomic(paths.prices, stamp("feed", out));
+  console.log("Wrote", paths.prices);
+  await writeJsonAtomic(paths.market, stamp("feed", market));
+  console.log("Wrote", paths.market);
+  await writeJsonAtomic(paths.outliers, stamp("feed", allOutliers));
+  console.log(`Wrote ${paths.outliers} with ${allOutliers.outliers.length} outliers detected`);
 
   const header = [
     "key", "id",
@@ -238,20 +503,203 @@ async function main() {
   for (const [k, v] of Object.entries(out.prices)) {
     rows.push([k, v.id ?? "", ...header.slice(2).map((h) => v[h] ?? "")].map(csvEscapeCell));
   }
-  await fs.writeFile(OUTPUT_CSV, rows.map((r) => r.join(",")).join("\n"), "utf8");
-  console.log("Wrote", OUTPUT_CSV);
+  await writeFileAtomic(paths.csv, rows.map((r) => r.join(",")).join("\n"));
+  console.log("Wrote", paths.csv);
+}
+
+/**
+ * Add this run's changes against `previous`, the prices.json it replaced, to the
+ * region's changes.json. Returns the run's entry.
+ */
+async function writeChanges(region, previous, out, paths) {
+  const run = diffFeeds(previous, out, { thresholdPct: CHANGE_THRESHOLD_PCT, topMovers: CHANGES_TOP_MOVERS });
+  const changes = appendRun(await readPrevious(region, "changes"), region, run, { keep: CHANGES_KEEP_RUNS });
+  for (const file of paths) {
+    await writeJsonAtomic(file, stamp("feed", changes));
+    console.log(
+      `Wrote ${file}: ${run.moved.length} moved, ${run.becameStale.length} went stale, ${run.newErrors.length} new errors`
+    );
+  }
+  return run;
+}
+
+/**
+ * Evaluate alerts.json against this run's feeds, record what fired and post the
+ * new ones to the webhook. Alerts are a side channel: nothing here fails the run.
+ */
+async function runAlerts(results) {
+  let config;
+  try {
+    config = await loadRules(ALERTS_FILE);
+  } catch (err) {
+    console.error(`Alerts skipped: ${err.message}`);
+    return;
+  }
+  if (!config) return;
+
+  const feeds = Object.fromEntries(results.map((r) => [r.region, r.out]));
+  const firing = evaluateRules(config.rules, feeds);
+  const now = new Date().toISOString();
+  let previous;
+  try {
+    previous = await loadAlertState(ALERTS_OUT);
+  } catch (err) {
+    // A damaged state file costs at most a repeat announcement, not the poll.
+    console.error(`Could not read ${ALERTS_OUT} (${err.message}); starting the alert state afresh.`);
+    previous = { active: {}, history: [] };
+  }
+  const { state, announce, resolved } = updateAlertState(previous, firing, { now });
 
-  console.log(
-    `\n${source.stats.requests} requests, ${source.stats.stubs} synthetic responses rejected, ` +
-      `${source.stats.rateLimited} rate-limit hits, ${carriedForward} items kept at their previous price.`
-  );
+  // Without a webhook, being written to the output file is the announcement.
+  const webhook = process.env.ALERT_WEBHOOK_URL || config.webhook;
+  if (announce.length) {
+    try {
+      if (webhook) await postWebhook(webhook, announce);
+      for (const alert of announce) state.active[alert.id].notified = now;
+    } catch (err) {
+      console.error(`Alert webhook failed (${err.message}); will retry next run.`);
+    }
+  }
 
-  // Surface a ban as a workflow failure so it is not silently ignored — but only
-  // after the outputs above are written, so a partial run is still committed.
-  if (banned) process.exit(1);
+  const fired = announce.map((a) => state.active[a.id]);
+  await writeJsonAtomic(ALERTS_OUT, { updated: now, fired, resolved, ...state });
+  console.log(`Wrote ${ALERTS_OUT}: ${firing.length} active, ${announce.length} to announce, ${resolved.length} resolved`);
 }
 
-main().catch((err) => {
-  console.error("Fatal error:", err);
-  process.exit(1);
-});
+/**
+ * One poll. `regions` defaults to REGIONS and `only` to every item in
+ * items.json; `only` takes keys or ids. A run limited by `only` leaves the
+ * checkpoint alone, so the scheduled run's unfinished items stay first in line.
+ * A dry run fetches and computes as usual but writes nothing: no history,
+ * candles, feeds, alerts or checkpoint. Queued backfills (lib/backfill.js) get
+ * what a full run leaves of the request budget. Returns the source and each
+ * region's result.
+ */
+export async function run({ regions = REGIONS, only = null, dryRun = false } = {}) {
+  const started = new Date().toISOString();
+  const deadline = RUN_TIME_LIMIT_MINUTES ? Date.parse(started) + RUN_TIME_LIMIT_MINUTES * 60_000 : null;
+  const items = await loadItems();
+  // Check the ids against the item database, refreshing names_cache.json once it
+  // is older than NAMES_CACHE_DAYS. An unreachable database falls back to the
+  // cache, or only costs the check. A dry run writes nothing, so it reads the
+  // cache as it is.
+  let database = null;
+  try {
+    database = dryRun ? await loadNamesCache() : await itemDatabase();
+  } catch (err) {
+    console.warn(`Item database unavailable (${err.message}); ids not checked against it.`);
+  }
+  const unknown = database ? unknownIds(items, database) : [];
+  if (unknown.length) console.warn(`Not in the item database (typos?): ${unknown.join(", ")}`);
+  if (only) {
+    const unknown = only.filter((wanted) => !findItem(items, wanted));
+    if (unknown.length) throw new Error(`Not in items.json: ${unknown.join(", ")}`);
+    only = new Set(only.map((wanted) => findItem(items, wanted).key));
+  }
+  // Rejected pages, and a sample of accepted ones, are kept for `stalcrafter replay`.
+  const archive = dryRun ? null : new PayloadArchive();
+  const source = new Source({ ...sourceOptions(), region: DEFAULT_REGION, archive });
+  const budget = REQUEST_BUDGET ? Math.floor(REQUEST_BUDGET / regions.length) : 0;
+  const previousCheckpoint = await loadCheckpoint();
+  const checkpoint = new Checkpoint({ write: !dryRun && !only });
+  const tradeability = await loadUntradeable();
+  const results = [];
+
+  // The handlers are removed and the flag cleared when the run ends, so repeated
+  // calls (the CLI, a long-lived caller) neither pile up listeners nor inherit an
+  // earlier run's interrupt.
+  interrupted = null;
+  const onSignal = (signal) => {
+    interrupted = signal;
+    console.warn(`\n${signal} received — finishing the current item, then writing outputs.`);
+  };
+  const signals = ["SIGINT", "SIGTERM"];
+  for (const signal of signals) process.once(signal, onSignal);
+
+  try {
+    for (const region of regions) {
+      const resume = unfinished(previousCheckpoint, region);
+      if (resume.length && !only) console.log(`[${region}] resuming ${resume.length} item(s) the last run did not finish`);
+      // Read before this run's feed replaces it, for changes.json.
+      const previousFeed = await readPrevious(region, "prices");
+      const result = await pollRegion(source, region, items, { budget, deadline, checkpoint, resume, tradeability, only, dryRun });
+      results.push(result);
+      if (dryRun) {
+        printDryRun(result);
+        continue;
+      }
+      const paths = feedPaths(region);
+      await fs.mkdir(paths.dir, { recursive: true });
+      await writeFeed(result, paths);
+      // The calculator reads the root files, so the default region keeps them.
+      if (region === DEFAULT_REGION) await writeFeed(result, ROOT_PATHS);
+      await writeChanges(region, previousFeed, result.out, region === DEFAULT_REGION ? [paths.changes, ROOT_PATHS.changes] : [paths.changes]);
+    }
+
+    if (!dryRun) {
+      await saveUntradeable(tradeability);
+      await updateFeedIndex(
+        results.map((r) => ({
+          region: r.region,
+          updated: r.out.updated,
+          items: Object.keys(r.out.prices).length,
+          stale: r.carriedForward,
+          banned: r.banned
+        })),
+        { defaultRegion: DEFAULT_REGION }
+      );
+      await runAlerts(results);
+    }
+
+    if (!dryRun && !only && !source.banned) {
+      const allowance = backfillAllowance(REQUEST_BUDGET, source.stats.requests);
+      const backfill = await runBackfills(source, { allowance, shouldStop: () => stopReason(deadline) });
+      if (backfill.jobs) console.log(`Backfill: ${backfill.requests} requests, ${backfill.added} trades added`);
+    }
+
+    const stoppedBy = results.find((r) => r.stoppedBy)?.stoppedBy ?? null;
+    await checkpoint.finish(stoppedBy);
+    if (stoppedBy && !dryRun && !only) console.log(`Run stopped early (${stoppedBy}); unfinished items are first in line next run.`);
+    if (!dryRun) await recordRun(runEntry(results, source, { started, stoppedBy, partial: Boolean(only) }));
+
+    const carriedForward = results.reduce((sum, r) => sum + r.carriedForward, 0);
+    const deferred = results.reduce((sum, r) => sum + r.market.source.deferred, 0);
+    console.log(
+      `\n${regions.length} region(s), ${source.stats.requests} requests, ${source.stats.stubs} synthetic responses rejected, ` +
+        `${source.stats.overlapMismatches + source.stats.implausiblePrices} pages rejected by the history cross-check, ` +
+        `${source.stats.rateLimited} rate-limit hits, ${carriedForward} items kept at their previous price, ` +
+        `${deferred} deferred to a later run.` +
+        (dryRun ? " Dry run: nothing was written." : "")
+    );
+    if (archive?.saved.rejected) console.log(`${archive.saved.rejected} rejected page(s) saved under ${archive.dir}.`);
+    return { source, results };
+  } finally {
+    for (const signal of signals) process.off(signal, onSignal);
+    interrupted = null;
+  }
+}
+
+/** What a dry run would have published for a region, one line per item it polled. */
+function printDryRun({ region, out, market }) {
+  console.log(`\n[${region}] would publish:`);
+  for (const entry of market.schedule.plan.filter((p) => p.polled)) {
+    const price = out.prices[entry.key] ?? {};
+    const figures = price.error
+      ? `error: ${price.error}`
+      : `24h ${price.avg24h ?? "-"}, 7d ${price.avg7d ?? "-"}` + (price.stale ? " (stale)" : "");
+    console.log(`  ${entry.key}: ${figures}`);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  try {
+    const { source } = await run();
+    // Surface a ban as a workflow failure so it is not silently ignored — but
+    // only after the outputs are written, so a partial run is still committed.
+    if (source.banned) process.exit(1);
+  } catch (err) {
+    // A bad items.json lists its own problems; anything else gets the stack.
+    console.error("Fatal error:", err instanceof ItemsFileError ? err.message : err);
+    process.exit(1);
+  }
+}
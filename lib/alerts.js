@@ -0,0 +1,195 @@
+// lib/alerts.js
+// Price alerts evaluated against each run's freshly computed feed.
+//
+// Rules live in alerts.json. Three kinds:
+//
+//   threshold  a price field crosses a level
+//              { "item": "adv_spare", "metric": "avg7d", "below": 70000 }
+//   change     one field has moved more than `pct` percent against another
+//              { "type": "change", "item": "adv_spare", "metric": "median24h", "against": "median7d", "pct": 15 }
+//   stale      an item's price has been carried forward for more than `hours`
+//              { "type": "stale", "item": "*", "hours": 48 }
+//
+// `item` may be "*" for every item in the feed, and `regions` limits a rule to
+// some regions. Price rules ignore stale entries, which would only repeat an old
+// price; the stale rule is how those are watched.
+//
+// An alert stays active while its condition holds and is announced once, when it
+// first fires. A failed webhook post leaves it unannounced, so the next run tries
+// again rather than losing it.
+
+import fs from "fs/promises";
+
+const RULE_TYPES = ["threshold", "change", "stale"];
+const HISTORY_LIMIT = 200;
+// Discord rejects message content over 2000 characters.
+const WEBHOOK_CONTENT_LIMIT = 2000;
+
+const nf = new Intl.NumberFormat("en-US");
+const fmt = (n) => nf.format(Math.round(n));
+
+/** Read and validate alerts.json. Null when there is no rules file. */
+export async function loadRules(file) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+  const rules = Array.isArray(raw) ? raw : raw.rules;
+  if (!Array.isArray(rules)) throw new Error(`${file} must hold a "rules" array`);
+  return { webhook: raw.webhook ?? null, rules: rules.map((rule, i) => validateRule(rule, i)) };
+}
+
+function validateRule(rule, index) {
+  const where = `alert rule ${rule?.id ?? index}`;
+  if (!rule || typeof rule !== "object") throw new Error(`${where} is not an object`);
+  const type = rule.type ?? "threshold";
+  if (!RULE_TYPES.includes(type)) throw new Error(`${where}: unknown type "${type}"`);
+  if (!rule.item) throw new Error(`${where}: "item" is required`);
+
+  if (type === "threshold") {
+    if (!rule.metric) throw new Error(`${where}: "metric" is required`);
+    if (!Number.isFinite(rule.below) && !Number.isFinite(rule.above)) {
+      throw new Error(`${where}: needs a numeric "below" or "above"`);
+    }
+  }
+  if (type === "change") {
+    if (!rule.metric || !rule.against) throw new Error(`${where}: "metric" and "against" are required`);
+    if (!Number.isFinite(rule.pct) || rule.pct <= 0) throw new Error(`${where}: needs a positive "pct"`);
+  }
+  if (type === "stale" && (!Number.isFinite(rule.hours) || rule.hours < 0)) {
+    throw new Error(`${where}: needs a non-negative "hours"`);
+  }
+
+  const id = rule.id ?? [type, rule.item, rule.metric, rule.against].filter(Boolean).join(":");
+  return { ...rule, id, type };
+}
+
+/**
+ * Every rule that holds against the given feeds right now. `feeds` maps region
+ * to that region's prices.json content.
+ */
+export function evaluateRules(rules, feeds, { now = Date.now() } = {}) {
+  const firing = [];
+  for (const [region, feed] of Object.entries(feeds)) {
+    const prices = feed?.prices ?? {};
+    for (const rule of rules) {
+      if (rule.regions && !rule.regions.includes(region)) continue;
+      const keys = rule.item === "*" ? Object.keys(prices) : [rule.item];
+      for (const item of keys) {
+        const hit = check(rule, prices[item], now);
+        if (hit) firing.push({ id: `${rule.id}|${region}|${item}`, rule: rule.id, region, item, ...hit });
+      }
+    }
+  }
+  return firing;
+}
+
+function check(rule, entry, now) {
+  if (!entry || entry.error) return null;
+
+  if (rule.type === "stale") {
+    if (!entry.stale) return null;
+    const since = Date.parse(entry.staleSince ?? "");
+    const hours = Number.isFinite(since) ? (now - since) / 3_600_000 : Infinity;
+    if (hours <= rule.hours) return null;
+    const shown = Number.isFinite(hours) ? `${Math.round(hours)}h` : "an unknown time";
+    return { value: Number.isFinite(hours) ? Math.round(hours) : null, message: `stale for ${shown} (limit ${rule.hours}h)` };
+  }
+
+  if (entry.stale) return null;
+  const value = entry[rule.metric];
+  if (!Number.isFinite(value)) return null;
+
+  if (rule.type === "threshold") {
+    if (Number.isFinite(rule.below) && value < rule.below) {
+      return { value, message: `${rule.metric} ${fmt(value)} is below ${fmt(rule.below)}` };
+    }
+    if (Number.isFinite(rule.above) && value > rule.above) {
+      return { value, message: `${rule.metric} ${fmt(value)} is above ${fmt(rule.above)}` };
+    }
+    return null;
+  }
+
+  const base = entry[rule.against];
+  if (!Number.isFinite(base) || base <= 0) return null;
+  const pct = ((value - base) / base) * 100;
+  if (Math.abs(pct) <= rule.pct) return null;
+  const direction = pct > 0 ? "above" : "below";
+  return {
+    value: Math.round(pct * 10) / 10,
+    message: `${rule.metric} ${fmt(value)} is ${Math.abs(pct).toFixed(1)}% ${direction} ${rule.against} ${fmt(base)}`
+  };
+}
+
+export async function loadAlertState(file) {
+  try {
+    const state = JSON.parse(await fs.readFile(file, "utf8"));
+    return { active: state.active ?? {}, history: state.history ?? [] };
+  } catch (err) {
+    if (err.code === "ENOENT") return { active: {}, history: [] };
+    throw err;
+  }
+}
+
+/**
+ * Fold this run's firing alerts into the de-duplication state. Returns the next
+ * state, the alerts that need announcing (new ones, and any whose announcement
+ * failed before) and the ones that stopped firing.
+ */
+export function updateAlertState(state, firing, { now = new Date().toISOString() } = {}) {
+  const active = {};
+  const announce = [];
+  for (const alert of firing) {
+    const previous = state.active[alert.id];
+    const entry = {
+      ...alert,
+      firstFired: previous?.firstFired ?? now,
+      lastSeen: now,
+      notified: previous?.notified ?? null
+    };
+    active[alert.id] = entry;
+    if (!entry.notified) announce.push(entry);
+  }
+
+  const resolved = Object.values(state.active)
+    .filter((alert) => !active[alert.id])
+    .map((alert) => ({ ...alert, resolved: now }));
+
+  const history = [
+    ...announce.filter((a) => !state.active[a.id]).map(({ id, region, item, message, value }) => ({ at: now, event: "fired", id, region, item, message, value })),
+    ...resolved.map(({ id, region, item, message }) => ({ at: now, event: "resolved", id, region, item, message })),
+    ...state.history
+  ].slice(0, HISTORY_LIMIT);
+
+  return { state: { active, history }, announce, resolved };
+}
+
+/** Discord-style payload: one line per alert, trimmed to the content limit. */
+export function webhookPayload(alerts) {
+  const lines = alerts.map((a) => `**${a.item}** (${a.region}): ${a.message}`);
+  let content = "";
+  for (let i = 0; i < lines.length; i++) {
+    const next = content ? `${content}\n${lines[i]}` : lines[i];
+    const after = lines.length - i - 1;
+    const reserve = after ? `\n…and ${after} more`.length : 0;
+    if (next.length + reserve > WEBHOOK_CONTENT_LIMIT) {
+      content += `\n…and ${lines.length - i} more`;
+      break;
+    }
+    content = next;
+  }
+  return { username: "Stalcrafter-X", content: content.slice(0, WEBHOOK_CONTENT_LIMIT) };
+}
+
+export async function postWebhook(url, alerts) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(webhookPayload(alerts)),
+    signal: AbortSignal.timeout(15_000)
+  });
+  if (!resp.ok) throw new Error(`webhook answered HTTP ${resp.status}`);
+}
@@ -0,0 +1,371 @@
+// lib/api_server.js
+// A local, read-only HTTP server for the published pages and the archive.
+//
+// server.js is a personal CORS proxy to the live host and stays gitignored. This
+// server never talks to stalcraftdb. It serves the published files from the
+// working directory (the pages, lib/, brow/, the feeds, candles/ and history/)
+// and nothing else there, and a small JSON API computed from history/ with
+// lib/store.js and lib/stats.js:
+//
+//   GET /api/items                            tracked items with their latest feed prices
+//   GET /api/items/:key/prices?window=36h,10d per-unit stats for any trailing windows
+//   GET /api/items/:key/history?from=&to=&qlt= stored trades and rollups in a range
+//   GET /api/items/:key/outliers?window=7d     MAD-removed trades in a window
+//
+// `:key` is an item key or id, and every API route takes `?region=` (the default
+// region otherwise). Responses carry an ETag and answer If-None-Match with 304.
+// CORS is open on /api only, so a page served from elsewhere can use the API but
+// cannot read the files.
+//
+//   npm run serve                   # http://127.0.0.1:8080
+//   API_PORT=9000 npm run serve
+
+import http from "http";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import { loadHistory, loadRollups } from "./store.js";
+import { normalise, computeWindowStats, tierWindowStats, longWindowStats } from "./stats.js";
+import { loadItems, findItem } from "./items.js";
+import { parseRegions, feedPaths } from "./feeds.js";
+import { upgrade } from "./schema.js";
+import "./env.js";
+
+const HISTORY_DIR = process.env.HISTORY_DIR || "history";
+const ITEMS_FILE = process.env.ITEMS_FILE || "items.json";
+const REGIONS = parseRegions(process.env.REGIONS || process.env.REGION || "na");
+const DEFAULT_REGION = (process.env.DEFAULT_REGION || REGIONS[0]).toLowerCase();
+// Raw trades are kept this long; longer windows are answered from the rollups.
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS || 90);
+// The longest window the API computes, about ten years.
+const MAX_WINDOW_DAYS = 3650;
+const DAY = 86_400_000;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon"
+};
+
+// What the static side serves: the pages and the feed files at the root, and
+// these directories. Anything else in the working directory, such as server.js
+// with its token, names_cache.json or quarantine/, is never served.
+const PUBLISHED_FILES = new Set([
+  "index.html", "fetcher.html", "status.html",
+  "prices.json", "prices.csv", "market.json", "outliers.json", "changes.json", "run_history.json",
+  "items.json", "recipes.json"
+]);
+const PUBLISHED_DIRS = new Set(["lib", "brow", "feeds", "candles", "history"]);
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, HEAD, OPTIONS",
+  "Access-Control-Allow-Headers": "If-None-Match",
+  "Access-Control-Expose-Headers": "ETag"
+};
+
+/** A request the API cannot answer, with the status to answer it with. */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/** "36h" -> 1.5, "10d" -> 10, "2w" -> 14: a window's length in days. */
+export function parseWindow(value) {
+  const match = /^(\d+(?:\.\d+)?)([hdw])$/.exec(String(value).trim());
+  if (!match) throw new HttpError(400, `Invalid window "${value}"; use a number and h, d or w, such as 36h or 10d`);
+  const days = Number(match[1]) * { h: 1 / 24, d: 1, w: 7 }[match[2]];
+  if (!(days > 0) || days > MAX_WINDOW_DAYS) throw new HttpError(400, `Window "${value}" must be between 1h and ${MAX_WINDOW_DAYS}d`);
+  return days;
+}
+
+/** A `from`/`to` query value as epoch ms: an ISO date or time. */
+function parseTime(value, name) {
+  if (value === null || value === "") return null;
+  const ms = Date.parse(value);
+  if (!Number.isFinite(ms)) throw new HttpError(400, `Invalid ${name} "${value}"; use an ISO date or time`);
+  return ms;
+}
+
+const etagOf = (body) => `"${crypto.createHash("sha1").update(body).digest("base64url").slice(0, 27)}"`;
+
+/** Does If-None-Match name this ETag (or `*`)? */
+function fresh(req, etag) {
+  const header = req.headers["if-none-match"];
+  if (!header) return false;
+  return header.split(",").some((tag) => {
+    const t = tag.trim();
+    return t === "*" || t.replace(/^W\//, "") === etag;
+  });
+}
+
+/** `cors` adds the CORS headers, which only API responses carry. */
+function send(req, res, status, body, headers, { cors = false } = {}) {
+  const etag = etagOf(body);
+  const common = cors ? CORS : {};
+  if (status === 200 && fresh(req, etag)) {
+    res.writeHead(304, { ...common, ETag: etag });
+    res.end();
+    return;
+  }
+  res.writeHead(status, { ...common, ...headers, ETag: etag, "Content-Length": body.length });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+const sendJson = (req, res, status, value, options) =>
+  send(
+    req,
+    res,
+    status,
+    Buffer.from(JSON.stringify(value, null, 2)),
+    { "Content-Type": CONTENT_TYPES[".json"], "Cache-Control": "no-cache" },
+    options
+  );
+
+/** decodeURIComponent, with a malformed escape answered as a bad request. */
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    if (err instanceof URIError) throw new HttpError(400, `Malformed path "${value}"`);
+    throw err;
+  }
+}
+
+const isApi = (url) => url.pathname === "/api" || url.pathname.startsWith("/api/");
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Start the server. `root` is the directory it serves and reads history/,
+ * items.json and the feeds from. Resolves with `{url, close}` once listening.
+ */
+export async function startApiServer({ root = process.cwd(), port = 8080, host = "127.0.0.1" } = {}) {
+  const historyDir = path.resolve(root, HISTORY_DIR);
+
+  function regionOf(url) {
+    const region = url.searchParams.get("region") ?? DEFAULT_REGION;
+    try {
+      return parseRegions(region)[0];
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+  }
+
+  async function itemOf(keyOrId) {
+    const item = findItem(await loadItems({ file: path.resolve(root, ITEMS_FILE) }), keyOrId);
+    if (!item) throw new HttpError(404, `No item "${keyOrId}" in items.json`);
+    return item;
+  }
+
+  async function stored(region, item) {
+    const [history, rollups] = await Promise.all([
+      loadHistory(region, item.id, { dir: historyDir }),
+      loadRollups(region, item.id, { dir: historyDir })
+    ]);
+    return { history, rollups };
+  }
+
+  const describe = (region, item) => ({ region, key: item.key, id: item.id, label: item.label ?? item.key });
+
+  const routes = {
+    async items(url) {
+      const region = regionOf(url);
+      const items = await loadItems({ file: path.resolve(root, ITEMS_FILE) });
+      const feed = await readJson(path.resolve(root, feedPaths(region).prices));
+      const prices = feed ? upgrade("feed", feed).prices ?? {} : {};
+      const regions = (await fs.readdir(historyDir, { withFileTypes: true }).catch(() => []))
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort();
+      return {
+        region,
+        regions,
+        updated: feed?.updated ?? null,
+        items: items.map((item) => ({
+          key: item.key,
+          id: item.id,
+          label: item.label ?? item.key,
+          category: item.category ?? null,
+          divisor: item.divisor ?? null,
+          avg24h: prices[item.key]?.avg24h ?? null,
+          avg7d: prices[item.key]?.avg7d ?? null,
+          stale: prices[item.key]?.stale ?? null
+        }))
+      };
+    },
+
+    async prices(url, item) {
+      const region = regionOf(url);
+      const windows = (url.searchParams.get("window") || "24h,7d").split(",").filter(Boolean);
+      const parsed = windows.map((w) => [w.trim(), parseWindow(w)]);
+      const { history, rollups } = await stored(region, item);
+      const trades = normalise(history.trades);
+
+      const result = {};
+      for (const [name, days] of parsed) {
+        // Raw trades cover the window: exact stats, per tier too. Past them, the
+        // daily rollups fill in, as for market.json's long windows.
+        if (days <= RETENTION_DAYS) {
+          const w = computeWindowStats(trades, days, { key: item.key, preNormalised: true });
+          result[name] = {
+            days, from: "trades",
+            avg: w.avg, median: w.median, p25: w.p25, p75: w.p75, min: w.min, max: w.max,
+            count: w.count, clean: w.cleanCount, units: w.totalUnits, outliersRemoved: w.outliersRemoved,
+            tiers: tierWindowStats(trades, days, { key: item.key, preNormalised: true })
+          };
+        } else {
+          result[name] = { days, from: "rollups", ...longWindowStats(trades, rollups, days, { preNormalised: true }) };
+        }
+      }
+      return { ...describe(region, item), storedTrades: history.trades.length, rollupDays: rollups.length, windows: result };
+    },
+
+    async history(url, item) {
+      const region = regionOf(url);
+      const from = parseTime(url.searchParams.get("from"), "from") ?? -Infinity;
+      const to = parseTime(url.searchParams.get("to"), "to") ?? Infinity;
+      if (from > to) throw new HttpError(400, "from is after to");
+      const qltParam = url.searchParams.get("qlt");
+      const qlt = qltParam === null || qltParam === "" ? null : Number(qltParam);
+      if (qlt !== null && !Number.isInteger(qlt)) throw new HttpError(400, `Invalid qlt "${qltParam}"`);
+
+      const { history, rollups } = await stored(region, item);
+      const trades = history.trades.filter((t) => {
+        const ts = Date.parse(t.time);
+        return ts >= from && ts <= to && (qlt === null || (t.additional?.qlt ?? null) === qlt);
+      });
+      // A day counts as in range when any part of it is.
+      const days = [];
+      for (const day of rollups) {
+        const start = Date.parse(day.day);
+        if (start + DAY <= from || start > to) continue;
+        if (qlt === null) days.push(day);
+        else if (day.quality === qlt) days.push(day);
+        else {
+          const tier = day.tiers?.find((t) => t.quality === qlt);
+          if (tier) days.push({ day: day.day, ...tier });
+        }
+      }
+      return {
+        ...describe(region, item),
+        from: Number.isFinite(from) ? new Date(from).toISOString() : null,
+        to: Number.isFinite(to) ? new Date(to).toISOString() : null,
+        qlt,
+        count: trades.length,
+        trades,
+        rollups: days
+      };
+    },
+
+    async outliers(url, item) {
+      const region = regionOf(url);
+      const name = (url.searchParams.get("window") || "7d").trim();
+      const days = parseWindow(name);
+      if (days > RETENTION_DAYS) throw new HttpError(400, `Outliers need raw trades, which are kept for ${RETENTION_DAYS}d`);
+      const { history } = await stored(region, item);
+      const w = computeWindowStats(history.trades, days, { key: item.key });
+      const outliers = w.outliers.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+      return { ...describe(region, item), window: name, count: w.count, outliersRemoved: w.outliersRemoved, outliers };
+    }
+  };
+
+  async function api(url) {
+    if (url.pathname === "/api/items") return routes.items(url);
+    const match = /^\/api\/items\/([^/]+)\/(prices|history|outliers)$/.exec(url.pathname);
+    if (!match) throw new HttpError(404, `No API route ${url.pathname}`);
+    return routes[match[2]](url, await itemOf(decodePath(match[1])));
+  }
+
+  async function serveStatic(req, res, url) {
+    const relative = decodePath(url.pathname).replace(/^\/+/, "") || "index.html";
+    const parts = relative.split("/");
+    const file = path.resolve(root, relative);
+    // Published paths only: nothing outside the root, and no dotfiles such as .git.
+    const allowed = parts.length === 1 ? PUBLISHED_FILES.has(relative) : PUBLISHED_DIRS.has(parts[0]);
+    if (
+      !allowed ||
+      !file.startsWith(path.resolve(root) + path.sep) ||
+      parts.some((part) => part.startsWith(".") || part.includes("\\"))
+    ) {
+      throw new HttpError(404, "Not found");
+    }
+    let target = file;
+    if ((await fs.stat(file).catch(() => null))?.isDirectory()) target = path.join(file, "index.html");
+    const body = await fs.readFile(target).catch((err) => {
+      if (err.code === "ENOENT" || err.code === "EISDIR") throw new HttpError(404, "Not found");
+      throw err;
+    });
+    send(req, res, 200, body, {
+      "Content-Type": CONTENT_TYPES[path.extname(target).toLowerCase()] ?? "application/octet-stream",
+      "Cache-Control": "no-cache"
+    });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const cors = isApi(url);
+    if (req.method === "OPTIONS" && cors) {
+      res.writeHead(204, CORS);
+      res.end();
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { ...(cors ? CORS : {}), Allow: cors ? "GET, HEAD, OPTIONS" : "GET, HEAD" });
+      res.end();
+      return;
+    }
+    try {
+      if (cors) sendJson(req, res, 200, await api(url), { cors });
+      else await serveStatic(req, res, url);
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error(`${req.method} ${url.pathname}: ${err.stack || err}`);
+      sendJson(req, res, status, { error: err.message }, { cors });
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: String(err) }));
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    url: `http://${host}:${address.port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const server = await startApiServer({
+    port: Number(process.env.API_PORT || 8080),
+    host: process.env.API_HOST || "127.0.0.1"
+  });
+  console.log(`Read-only API and pages on ${server.url} (region ${DEFAULT_REGION})`);
+}
@@ -0,0 +1,195 @@
+// lib/backfill.js
+// Pages a newly added item's history back to a target date, a few pages a run.
+//
+// A regular poll stops at the 7-day cutoff, so a new item's archive takes weeks
+// of runs to reach anything like the 90-day retention window. A backfill job
+// walks one item further back through the same Source (the same pacing, stub
+// checks, history cross-check and 420 abort) and merges what it finds through
+// mergeHistory. Days past retention go straight into the rollups. Pages older
+// than the cross-check's 30-day price reference are held to its overlap check
+// only, since prices back then need not look like today's.
+//
+// Jobs live in backfill.json, which is committed with the feeds. A job's
+// progress is saved after every page, so a job spread over many runs, or cut
+// short by a ban, carries on from the page it reached. New trades arriving at
+// the front shift every page back, so a resumed job sees some trades again; the
+// merge dedupes them, and nothing is skipped. Backfill only spends what the
+// regular poll leaves of the run's request budget.
+
+import fs from "fs/promises";
+import { BannedError } from "./source.js";
+import { mergeHistory, knownTrades } from "./store.js";
+import { timeOf } from "./history_codec.js";
+import { writeJsonAtomic } from "./files.js";
+
+const BACKFILL_FILE = process.env.BACKFILL_FILE || "backfill.json";
+// Requests one run may spend on backfill, on top of any REQUEST_BUDGET limit.
+const BACKFILL_REQUESTS = Number(process.env.BACKFILL_REQUESTS || 30);
+const DAY = 86_400_000;
+
+export async function loadBackfills() {
+  try {
+    return JSON.parse(await fs.readFile(BACKFILL_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { updated: null, jobs: [] };
+    throw err;
+  }
+}
+
+async function saveBackfills(state) {
+  state.updated = new Date().toISOString();
+  await writeJsonAtomic(BACKFILL_FILE, state);
+}
+
+/**
+ * Queue a backfill of one item back to `since` (a date or ISO time). Queuing an
+ * item that already has a job moves its target back if `since` is older, and
+ * reopens it if it had finished; the job keeps the page it reached.
+ */
+export async function queueBackfill({ region, key, id, since }) {
+  const target = new Date(since);
+  if (!Number.isFinite(target.getTime())) throw new Error(`Invalid backfill date "${since}"`);
+  if (target.getTime() >= Date.now()) throw new Error(`Backfill date ${since} is not in the past`);
+
+  const state = await loadBackfills();
+  let job = state.jobs.find((j) => j.region === region && j.key === key);
+  if (!job) {
+    job = {
+      region, key, id, target: target.toISOString(), queued: new Date().toISOString(),
+      nextPage: 0, oldest: null, reportedTotal: 0, pages: 0, rejectedPages: 0, added: 0,
+      pending: [], finished: null, stop: null
+    };
+    state.jobs.push(job);
+  } else if (target.toISOString() < job.target) {
+    job.target = target.toISOString();
+    job.finished = null;
+  }
+  await saveBackfills(state);
+  return job;
+}
+
+/** What backfill may spend this run: BACKFILL_REQUESTS, or less if the budget is nearly spent. */
+export function backfillAllowance(requestBudget, spent) {
+  return requestBudget ? Math.min(BACKFILL_REQUESTS, Math.max(0, requestBudget - spent)) : BACKFILL_REQUESTS;
+}
+
+const dayStart = (ms) => Math.floor(ms / DAY) * DAY;
+
+/**
+ * Merge what is safe to merge. Pages run newest first, so every day but the
+ * oldest one seen is complete; that one may continue on the next page and is
+ * held back, since a day past retention is rolled up once and never revisited.
+ * A finished job merges everything.
+ */
+async function mergeReady(job) {
+  let ready = job.pending;
+  if (!job.finished) {
+    const boundary = dayStart(Math.min(...job.pending.map(timeOf))) + DAY;
+    ready = job.pending.filter((t) => timeOf(t) >= boundary);
+    job.pending = job.pending.filter((t) => timeOf(t) < boundary);
+  } else {
+    job.pending = [];
+  }
+  if (!ready.length) return;
+  const { added } = await mergeHistory(job.region, job.id, ready);
+  job.added += added;
+}
+
+/**
+ * Advance one job until it reaches its target, runs out of pages or runs out of
+ * `allowance` requests. Two rejected pages in a row end its turn for this run
+ * without skipping the page.
+ */
+async function advance(source, job, state, { allowance, shouldStop }) {
+  const before = source.stats.requests;
+  let rejectedInARow = 0;
+  job.stop = null;
+  // Pages are cross-checked against what was stored when the turn began.
+  const known = await knownTrades(job.region, job.id);
+
+  while (!job.finished) {
+    const stop = shouldStop();
+    if (stop) {
+      job.stop = stop;
+      break;
+    }
+    if (source.stats.requests - before >= allowance) {
+      job.stop = "budget";
+      break;
+    }
+
+    const result = await source.fetchPage(job.id, job.nextPage, {
+      region: job.region,
+      knownTotal: job.reportedTotal || null,
+      known
+    });
+    job.pages++;
+    if (!result.accepted) {
+      job.rejectedPages++;
+      if (++rejectedInARow >= 2) {
+        job.stop = "rejected";
+        break;
+      }
+      continue;
+    }
+    rejectedInARow = 0;
+    job.reportedTotal = Math.max(job.reportedTotal, Number(result.total) || 0);
+
+    const prices = result.prices ?? [];
+    if (!prices.length) {
+      job.finished = new Date().toISOString();
+      job.stop = "end";
+    } else {
+      job.pending.push(...prices.map(({ time, price, amount, additional }) => ({ time, price, amount, additional })));
+      job.nextPage++;
+      job.oldest = prices[prices.length - 1].time;
+      if (timeOf(prices[prices.length - 1]) < Date.parse(job.target)) {
+        job.finished = new Date().toISOString();
+        job.stop = "target";
+      }
+    }
+    await mergeReady(job);
+    await saveBackfills(state);
+  }
+
+  await saveBackfills(state);
+}
+
+/**
+ * Work through the unfinished jobs in queue order within `allowance` requests.
+ * `shouldStop` is polled between pages and returns a reason ("timeout",
+ * "signal") to stop for. A ban stops every job; each keeps its place. Any other
+ * error ends only that job's turn.
+ */
+export async function runBackfills(source, { allowance, shouldStop = () => null } = {}) {
+  const state = await loadBackfills();
+  const start = source.stats.requests;
+  const spent = () => source.stats.requests - start;
+  const summary = { jobs: 0, requests: 0, added: 0, finished: [], stoppedBy: null };
+
+  for (const job of state.jobs.filter((j) => !j.finished)) {
+    if (spent() >= allowance || source.banned) break;
+    summary.jobs++;
+    const added = job.added;
+    try {
+      await advance(source, job, state, { allowance: allowance - spent(), shouldStop });
+    } catch (err) {
+      // Like a failed item in the poll, a failed job waits for the next run.
+      job.stop = err instanceof BannedError ? "ban" : `failed: ${err.message}`;
+      await saveBackfills(state);
+    }
+    summary.added += job.added - added;
+    if (job.finished) summary.finished.push(`${job.region}/${job.key}`);
+    console.log(
+      `[${job.region}] backfill ${job.key}: ${job.added - added} new trades, next page ${job.nextPage}` +
+        (job.oldest ? `, back to ${job.oldest}` : "") +
+        (job.finished ? `, done (${job.stop})` : `, continues next run (${job.stop})`)
+    );
+    if (["ban", "timeout", "signal"].includes(job.stop)) {
+      summary.stoppedBy = job.stop;
+      break;
+    }
+  }
+  summary.requests = spent();
+  return summary;
+}
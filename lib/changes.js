@@ -0,0 +1,72 @@
+// lib/changes.js
+// What moved between one run's prices.json and the next.
+//
+// Each run overwrites the feed, so the only record of a price move used to be
+// the git diff of a large JSON file. Each run now compares its feed with the one
+// it replaces and writes changes.json beside it:
+//
+//   moved        items whose avg24h or avg7d moved by CHANGE_THRESHOLD_PCT or more
+//   becameStale  items carried forward this run that were fresh last run
+//   freshAgain   items fresh this run that were carried forward last run
+//   newErrors    items that failed this run but not last run
+//   topMovers    the largest avg24h/avg7d moves, whatever the threshold
+//
+// The newest run comes first in `runs`, and only the last CHANGES_KEEP_RUNS are
+// kept, so the file stays small however long the poller runs. The calculator
+// shows the newest run's entry for each row as a "since last update" badge.
+
+const METRICS = ["avg24h", "avg7d"];
+
+const errorOf = (entry) => entry?.error ?? entry?.lastError ?? null;
+const usable = (entry) => Boolean(entry) && !entry.error;
+const round = (pct) => Math.round(pct * 10) / 10;
+
+/** `{from, to, pct}` for one metric, or null when either side has no price. */
+function moveOf(before, after, metric) {
+  const from = before?.[metric];
+  const to = after?.[metric];
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from === 0) return null;
+  return { from, to, pct: round(((to - from) / from) * 100) };
+}
+
+/**
+ * One run's changes between the `previous` and `current` prices.json documents.
+ * `previous` is null on the first run, which then records no changes.
+ */
+export function diffFeeds(previous, current, { thresholdPct = 5, topMovers = 10 } = {}) {
+  const run = {
+    updated: current.updated,
+    previous: previous?.updated ?? null,
+    thresholdPct,
+    moved: [],
+    becameStale: [],
+    freshAgain: [],
+    newErrors: [],
+    topMovers: []
+  };
+  if (!previous) return run;
+
+  const movers = [];
+  for (const [key, after] of Object.entries(current.prices ?? {})) {
+    const before = previous.prices?.[key];
+    if (!before) continue;
+    const id = after.id ?? before.id;
+
+    if (usable(before) && usable(after)) {
+      const moves = Object.fromEntries(METRICS.map((metric) => [metric, moveOf(before, after, metric)]));
+      if (METRICS.some((metric) => Math.abs(moves[metric]?.pct ?? 0) >= thresholdPct)) run.moved.push({ key, id, ...moves });
+      for (const metric of METRICS) if (moves[metric]?.pct) movers.push({ key, id, metric, ...moves[metric] });
+    }
+    if (after.stale && !before.stale) run.becameStale.push({ key, id, staleSince: after.staleSince ?? null });
+    if (!after.stale && before.stale && usable(after)) run.freshAgain.push({ key, id });
+    if (errorOf(after) && !errorOf(before)) run.newErrors.push({ key, id, error: errorOf(after) });
+  }
+  run.topMovers = movers.sort((a, b) => Math.abs(b.pct) - Math.abs(a.pct)).slice(0, topMovers);
+  return run;
+}
+
+/** changes.json with `run` added in front of the runs `existing` already holds. */
+export function appendRun(existing, region, run, { keep = 50 } = {}) {
+  const runs = [run, ...(existing?.runs ?? []).filter((r) => r.updated !== run.updated)].slice(0, keep);
+  return { region, updated: run.updated, runs };
+}
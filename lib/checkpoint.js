@@ -0,0 +1,77 @@
+// lib/checkpoint.js
+// Records how far a run got, so the next one can pick up where it stopped.
+//
+// A 420, the request budget or the workflow's time limit can each end a run
+// early. Everything not reached is carried forward (as stale, or as deferred
+// when the budget ran out), which is right for the feed, but without a record of
+// it the next run plans from scratch and the same items can stay behind run
+// after run. The checkpoint is rewritten after
+// every item (a run killed outright still leaves an accurate one behind) and is
+// committed with the feeds. The next run polls each region's unfinished items
+// before anything else.
+
+import fs from "fs/promises";
+import { writeJsonAtomic } from "./files.js";
+
+const CHECKPOINT_FILE = process.env.CHECKPOINT_FILE || "checkpoint.json";
+
+export async function loadCheckpoint() {
+  try {
+    return JSON.parse(await fs.readFile(CHECKPOINT_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/** Items the last run planned for `region` but did not finish. */
+export function unfinished(checkpoint, region) {
+  return checkpoint?.regions?.[region]?.pending ?? [];
+}
+
+export class Checkpoint {
+  /** `write: false` keeps the record in memory only, for runs that must not move it. */
+  constructor({ write = true } = {}) {
+    this.write = write;
+    this.state = {
+      runStarted: new Date().toISOString(),
+      updated: null,
+      finished: null,
+      stoppedBy: null,
+      stoppedAt: null,
+      regions: {}
+    };
+  }
+
+  async #write() {
+    this.state.updated = new Date().toISOString();
+    if (!this.write) return;
+    await writeJsonAtomic(CHECKPOINT_FILE, this.state);
+  }
+
+  /** The items this run means to poll in `region`, in order. */
+  async begin(region, keys) {
+    this.state.regions[region] = { completed: [], pending: [...keys] };
+    await this.#write();
+  }
+
+  async complete(region, key) {
+    const entry = this.state.regions[region];
+    entry.pending = entry.pending.filter((k) => k !== key);
+    if (!entry.completed.includes(key)) entry.completed.push(key);
+    await this.#write();
+  }
+
+  /**
+   * Close the run. `stoppedBy` is null for a run that got through its plan, or
+   * "ban", "budget", "timeout" or "signal"; `stoppedAt` names the first item it
+   * did not reach.
+   */
+  async finish(stoppedBy = null) {
+    this.state.finished = new Date().toISOString();
+    this.state.stoppedBy = stoppedBy;
+    const stoppedIn = Object.entries(this.state.regions).find(([, r]) => r.pending.length);
+    this.state.stoppedAt = stoppedIn ? { region: stoppedIn[0], key: stoppedIn[1].pending[0] } : null;
+    await this.#write();
+  }
+}
@@ -0,0 +1,34 @@
+// lib/env.js
+// The environment variables of the modules the browser shares with Node.
+//
+// lib/stats.js and lib/source.js run unchanged in the browser pages, so neither
+// reads process.env. Node code reads it here instead. Importing this module
+// applies the outlier settings to lib/stats.js, and sourceOptions() gives the
+// options a Source is built with. Every Node module that computes stats or
+// builds a Source imports it, so a setting means the same thing in every process.
+
+import { configureStats } from "./stats.js";
+
+const number = (name) => (process.env[name] === undefined || process.env[name] === "" ? undefined : Number(process.env[name]));
+
+export const STATS_SETTINGS = configureStats({
+  outlierMadThreshold: number("OUTLIER_MAD_THRESHOLD"),
+  minSamplesForOutlierDetection: number("MIN_SAMPLES_FOR_OUTLIER_DETECTION")
+});
+
+/** Source options from STALCRAFTDB_URL, REQUESTS_PER_MINUTE and the rest; unset ones keep their defaults. */
+export function sourceOptions() {
+  const options = {
+    baseUrl: process.env.STALCRAFTDB_URL || undefined,
+    userAgent: process.env.USER_AGENT || undefined,
+    requestsPerMinute: number("REQUESTS_PER_MINUTE"),
+    remainingFloor: number("REMAINING_FLOOR"),
+    stubRetries: number("STUB_RETRIES"),
+    httpRetries: number("HTTP_RETRIES"),
+    rateLimitCooldown: number("RATE_LIMIT_COOLDOWN"),
+    crossCheck: process.env.CROSS_CHECK === undefined ? undefined : process.env.CROSS_CHECK !== "0",
+    crossCheckMinMatch: number("CROSS_CHECK_MIN_MATCH"),
+    crossCheckMaxDeviations: number("CROSS_CHECK_MAX_DEVIATIONS")
+  };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,93 @@
+// lib/feeds.js
+// Where each region's published feed lives.
+//
+// The host keeps a separate auction per region, and history/ is already split
+// that way. A run can poll several regions, so every region gets its own
+// directory under feeds/ and a small index records which regions exist and when
+// each was last refreshed. The root prices.json stays in place for the default
+// region because the calculator reads it from there.
+
+import fs from "fs/promises";
+import path from "path";
+import { writeJsonAtomic } from "./files.js";
+import { upgrade, stamp } from "./schema.js";
+
+const FEEDS_DIR = process.env.FEEDS_DIR || "feeds";
+const CANDLES_DIR = process.env.CANDLES_DIR || "candles";
+const INDEX_FILE = "index.json";
+
+// stalcraftdb region codes are short lowercase tags: na, eu, ru, sea.
+const REGION_PATTERN = /^[a-z]{2,4}$/;
+
+/** Parse a comma-separated region list, keeping the first occurrence of each. */
+export function parseRegions(value) {
+  const regions = [];
+  for (const raw of String(value ?? "").split(",")) {
+    const region = raw.trim().toLowerCase();
+    if (!region) continue;
+    if (!REGION_PATTERN.test(region)) throw new Error(`Invalid region "${raw.trim()}"`);
+    if (!regions.includes(region)) regions.push(region);
+  }
+  if (!regions.length) throw new Error("No regions configured");
+  return regions;
+}
+
+/** Output paths for one region's feed. */
+export function feedPaths(region) {
+  const dir = path.join(FEEDS_DIR, region);
+  return {
+    dir,
+    prices: path.join(dir, "prices.json"),
+    csv: path.join(dir, "prices.csv"),
+    market: path.join(dir, "market.json"),
+    outliers: path.join(dir, "outliers.json"),
+    changes: path.join(dir, "changes.json")
+  };
+}
+
+/**
+ * Write one item's candle series to candles/<region>/<id>.json, a static file a
+ * browser can fetch directly beside the feed.
+ */
+export async function writeCandles(region, id, series) {
+  const file = path.join(CANDLES_DIR, region, `${id}.json`);
+  await writeJsonAtomic(file, stamp("feed", { region, id, updated: new Date().toISOString(), ...series }), { compact: true });
+  return file;
+}
+
+export async function loadFeedIndex() {
+  try {
+    const parsed = upgrade("feed", JSON.parse(await fs.readFile(path.join(FEEDS_DIR, INDEX_FILE), "utf8")));
+    return { ...parsed, regions: parsed?.regions ?? {} };
+  } catch (err) {
+    if (err.code === "ENOENT") return { regions: {} };
+    throw err;
+  }
+}
+
+/**
+ * Record this run's regions in feeds/index.json. Regions polled by earlier runs
+ * but not this one are kept, with their own last-updated time, so the index
+ * answers "what exists" rather than "what ran last".
+ */
+export async function updateFeedIndex(entries, { defaultRegion = null } = {}) {
+  const index = await loadFeedIndex();
+  for (const entry of entries) {
+    const { prices, market, outliers, csv, changes } = feedPaths(entry.region);
+    index.regions[entry.region] = {
+      updated: entry.updated,
+      items: entry.items,
+      stale: entry.stale,
+      banned: Boolean(entry.banned),
+      files: { prices, csv, market, outliers, changes }
+    };
+  }
+  const updated = new Date().toISOString();
+  const next = stamp("feed", {
+    updated,
+    defaultRegion: defaultRegion ?? index.defaultRegion ?? null,
+    regions: Object.fromEntries(Object.entries(index.regions).sort(([a], [b]) => a.localeCompare(b)))
+  });
+  await writeJsonAtomic(path.join(FEEDS_DIR, INDEX_FILE), next);
+  return next;
+}
@@ -0,0 +1,42 @@
+// lib/files.js
+// Crash-safe file writes.
+//
+// A run can be killed at any point: the workflow's timeout, a cancelled job, a
+// runner that disappears. Writing straight over a file that is then cut off
+// leaves half a JSON document in the repo, and every later run that reads it
+// fails. Every output is therefore written to a temporary file beside the target
+// and renamed over it, so a reader sees the old file or the new one, never a
+// mixture.
+
+import fs from "fs/promises";
+import path from "path";
+
+// Temporary files end in this, so the verify tool can find and remove any a
+// killed run left behind.
+export const TEMP_SUFFIX = ".tmp";
+
+let counter = 0;
+
+/** Write `data` to `file` atomically, creating the directory if needed. */
+export async function writeFileAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.${counter++}${TEMP_SUFFIX}`;
+  try {
+    const handle = await fs.open(temp, "w");
+    try {
+      await handle.writeFile(data, "utf8");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, file);
+  } catch (err) {
+    await fs.rm(temp, { force: true });
+    throw err;
+  }
+}
+
+/** writeFileAtomic for a JSON value, pretty-printed unless `compact`. */
+export function writeJsonAtomic(file, value, { compact = false } = {}) {
+  return writeFileAtomic(file, compact ? JSON.stringify(value) : JSON.stringify(value, null, 2));
+}
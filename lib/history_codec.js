@@ -0,0 +1,138 @@
+// lib/history_codec.js
+// The compact on-disk encoding of stored trades, one shard per item and month.
+//
+// An item's history is stored as history/<region>/<id>/<YYYY-MM>.json plus an
+// index.json manifest. A shard holds columns rather than one object per trade:
+//
+//   t      trade times, ascending, in `unit` ms ticks. The first value is
+//          absolute and every later one is the gap since the one before
+//   p, a   lot price and amount
+//   x      index into `extra` for each trade's `additional`, or -1 for none
+//   extra  the distinct `additional` objects, each stored once
+//
+// Months close. Once a month has passed, its shard stops changing, so a run only
+// rewrites the current month's shard and git diffs stay small. Plain ESM with no
+// Node imports: lib/store.js writes shards and the browser pages read them.
+
+import { SCHEMA_VERSION, upgrade } from "./schema.js";
+
+/** Parse a trade time to ms; the archive keys and orders trades by this. */
+export const timeOf = (trade) => Date.parse(trade.time);
+
+/**
+ * The identity the merge dedupes on. Keyed by parsed time rather than the raw
+ * string, so "…:59Z" and "…:59.000Z" from different sources are the same trade.
+ */
+export const tradeKey = (trade) => `${timeOf(trade)}|${trade.price}|${trade.amount}`;
+
+/**
+ * Union of `stored` and `fetched` on tradeKey, keeping the stored copy of a trade
+ * seen twice, newest first. Fetched trades are reduced to what the archive keeps:
+ * time, price, amount and a non-empty `additional`. Trades with no parseable time
+ * are dropped. Returns `{ trades, added }`. lib/store.js merges every run with
+ * this, and the browser's trade cache (brow/trade_cache.js) does the same.
+ */
+export function mergeTrades(stored, fetched) {
+  const seen = new Map((stored ?? []).map((t) => [tradeKey(t), t]));
+  let added = 0;
+  for (const entry of fetched ?? []) {
+    const key = tradeKey(entry);
+    if (seen.has(key)) continue;
+    const record = { time: entry.time, price: entry.price, amount: entry.amount };
+    // `additional` carries the quality tier — dropping it would flatten tiers.
+    if (entry.additional && Object.keys(entry.additional).length) record.additional = entry.additional;
+    seen.set(key, record);
+    added++;
+  }
+  const trades = [...seen.values()].filter((t) => Number.isFinite(timeOf(t))).sort((a, b) => timeOf(b) - timeOf(a));
+  return { trades, added };
+}
+
+/** UTC month of a time in ms, as the shard name: "2026-08". */
+export function monthOf(ms) {
+  return new Date(ms).toISOString().slice(0, 7);
+}
+
+/** ISO time as the host writes it: whole seconds carry no ".000". */
+function formatTime(ms) {
+  return new Date(ms).toISOString().replace(".000Z", "Z");
+}
+
+/** Group trades by the month shard they belong to. Unparseable times are dropped. */
+export function shardTrades(trades) {
+  const shards = new Map();
+  for (const trade of trades) {
+    const ts = timeOf(trade);
+    if (!Number.isFinite(ts)) continue;
+    const month = monthOf(ts);
+    if (!shards.has(month)) shards.set(month, []);
+    shards.get(month).push(trade);
+  }
+  return shards;
+}
+
+/** Encode one month's trades. The order is canonical, so equal sets encode identically. */
+export function encodeShard(month, trades) {
+  const rows = trades
+    .map((t) => ({ ts: timeOf(t), price: Number(t.price), amount: Number(t.amount), additional: t.additional }))
+    .sort((a, b) => a.ts - b.ts || a.price - b.price || a.amount - b.amount);
+
+  const unit = rows.every((r) => r.ts % 1000 === 0) ? 1000 : 1;
+  const extra = [];
+  const interned = new Map();
+  const t = [];
+  const x = [];
+  let previous = 0;
+  for (const row of rows) {
+    const ticks = row.ts / unit;
+    t.push(ticks - previous);
+    previous = ticks;
+
+    if (row.additional && Object.keys(row.additional).length) {
+      const key = JSON.stringify(row.additional);
+      if (!interned.has(key)) {
+        interned.set(key, extra.length);
+        extra.push(row.additional);
+      }
+      x.push(interned.get(key));
+    } else {
+      x.push(-1);
+    }
+  }
+
+  const shard = {
+    schemaVersion: SCHEMA_VERSION.history,
+    month,
+    count: rows.length,
+    unit,
+    t,
+    p: rows.map((r) => r.price),
+    a: rows.map((r) => r.amount)
+  };
+  if (extra.length) Object.assign(shard, { x, extra });
+  return shard;
+}
+
+/** Decode a shard back to `{time, price, amount, additional?}` trades, newest first. */
+export function decodeShard(shard) {
+  shard = upgrade("history", shard);
+  const trades = [];
+  let ticks = 0;
+  for (let i = 0; i < shard.t.length; i++) {
+    ticks += shard.t[i];
+    const trade = { time: formatTime(ticks * shard.unit), price: shard.p[i], amount: shard.a[i] };
+    const extra = shard.x?.[i] ?? -1;
+    if (extra >= 0) trade.additional = shard.extra[extra];
+    trades.push(trade);
+  }
+  return trades.reverse();
+}
+
+/**
+ * Shard text as written to disk: one column per line, so a diff shows which
+ * columns moved without a line per trade.
+ */
+export function serialiseShard(shard) {
+  const lines = Object.entries(shard).map(([key, value]) => `${JSON.stringify(key)}:${JSON.stringify(value)}`);
+  return `{\n${lines.join(",\n")}\n}\n`;
+}
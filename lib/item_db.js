@@ -0,0 +1,110 @@
+// lib/item_db.js
+// Names and categories for item ids, from the game's public item database.
+//
+// stalcraftdb is built on EXBO's stalcraft-database, whose listing.json names
+// every item once: its display name and the path of its data file, which
+// carries the category ("/items/weapon/assault_rifle/4q7pl.json"). The listing
+// is fetched once and cached in names_cache.json, gitignored, for up to
+// NAMES_CACHE_DAYS. Enrichment fills in the labels and categories items.json
+// is missing. It never overwrites one that is there, and it reports ids the
+// database does not know, which are almost always typos.
+//
+//   stalcrafter enrich [--refresh]
+
+import fs from "fs/promises";
+import { writeFileAtomic, writeJsonAtomic } from "./files.js";
+import { checkItems, ItemsFileError } from "./items.js";
+
+const ITEM_DATABASE_URL =
+  process.env.ITEM_DATABASE_URL ||
+  "https://raw.githubusercontent.com/EXBO-Studio/stalcraft-database/main/global/listing.json";
+const NAMES_CACHE = process.env.NAMES_CACHE || "names_cache.json";
+const NAMES_CACHE_DAYS = Number(process.env.NAMES_CACHE_DAYS || 7);
+const ITEMS_FILE = process.env.ITEMS_FILE || "items.json";
+
+/**
+ * `{id: {name, category}}` from a listing.json. Entries whose data path is not
+ * an item file are skipped; the name is the English one where there is one.
+ */
+export function parseListing(listing) {
+  if (!Array.isArray(listing)) throw new Error("item database listing is not an array");
+  const items = {};
+  for (const entry of listing) {
+    const match = /^\/?items\/(.+)\/([^/]+)\.json$/.exec(entry?.data ?? "");
+    if (!match) continue;
+    const lines = entry.name?.lines ?? {};
+    items[match[2]] = { name: lines.en ?? lines.ru ?? entry.name?.key ?? null, category: match[1] };
+  }
+  return items;
+}
+
+/** The cached database, or null when there is none. */
+export async function loadNamesCache({ file = NAMES_CACHE } = {}) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * The database, from the cache while it is younger than NAMES_CACHE_DAYS and
+ * from ITEM_DATABASE_URL otherwise (or with `refresh`). A failed fetch falls
+ * back to a stale cache rather than failing.
+ */
+export async function itemDatabase({ refresh = false, file = NAMES_CACHE } = {}) {
+  const cached = await loadNamesCache({ file });
+  const age = cached ? Date.now() - Date.parse(cached.updated) : Infinity;
+  if (!refresh && age < NAMES_CACHE_DAYS * 86_400_000) return cached;
+
+  try {
+    const resp = await fetch(ITEM_DATABASE_URL, { signal: AbortSignal.timeout(30_000) });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${ITEM_DATABASE_URL}`);
+    const database = { updated: new Date().toISOString(), source: ITEM_DATABASE_URL, items: parseListing(await resp.json()) };
+    await writeJsonAtomic(file, database, { compact: true });
+    return database;
+  } catch (err) {
+    if (!cached) throw err;
+    console.warn(`Item database refresh failed (${err.message}); using the cache from ${cached.updated}`);
+    return cached;
+  }
+}
+
+/** Ids in `items` that `database` does not list, as `key (id)` strings. */
+export function unknownIds(items, database) {
+  return items.filter((item) => !database.items[item.id]).map((item) => `${item.key} (${item.id})`);
+}
+
+/**
+ * Fill in missing labels and categories in items.json from the database.
+ * Returns what was filled in, the ids the database does not know, and entries
+ * whose category disagrees with it; the last two are reported, not changed.
+ */
+export async function enrichItems({ refresh = false, file = ITEMS_FILE } = {}) {
+  const database = await itemDatabase({ refresh });
+  const raw = JSON.parse(await fs.readFile(file, "utf8"));
+  const problems = checkItems(raw);
+  if (problems.length) throw new ItemsFileError(file, problems);
+  const items = Array.isArray(raw) ? raw : raw.items;
+
+  const result = { filled: [], unknown: unknownIds(items, database), mismatched: [] };
+  for (const item of items) {
+    const known = database.items[item.id];
+    if (!known) continue;
+    const filled = [];
+    if (item.label === undefined && known.name) {
+      item.label = known.name;
+      filled.push("label");
+    }
+    if (item.category === undefined) {
+      item.category = known.category;
+      filled.push("category");
+    } else if (item.category !== known.category) {
+      result.mismatched.push(`${item.key}: ${item.category}, database says ${known.category}`);
+    }
+    if (filled.length) result.filled.push(`${item.key}: ${filled.join(", ")}`);
+  }
+  if (result.filled.length) await writeFileAtomic(file, JSON.stringify(raw, null, 2) + "\n");
+  return result;
+}
@@ -0,0 +1,178 @@
+// lib/items.js
+// Reads and extends items.json, the list of items the poller tracks.
+//
+// items.json is edited by hand and by `stalcrafter add-item`, and the poller,
+// the calculator and the CLI all key off it. An entry with a mistyped id makes
+// the poller spend requests on nothing, and a reused key silently overwrites
+// another item's feed entry. So the whole file is checked before every run, and
+// additions before they are written.
+//
+// An id can be valid and still never trade: the item was withdrawn or cannot
+// be sold. Zero-trade polls are counted per region in untradeable_ids.json, and
+// after UNTRADEABLE_AFTER of them in a row the id is skipped, with a recheck
+// every UNTRADEABLE_RECHECK_DAYS in case it starts trading again.
+
+import fs from "fs/promises";
+import { writeFileAtomic, writeJsonAtomic } from "./files.js";
+
+const ITEMS_FILE = process.env.ITEMS_FILE || "items.json";
+const UNTRADEABLE_FILE = process.env.UNTRADEABLE_FILE || "untradeable_ids.json";
+const UNTRADEABLE_AFTER = Number(process.env.UNTRADEABLE_AFTER || 3);
+const UNTRADEABLE_RECHECK_DAYS = Number(process.env.UNTRADEABLE_RECHECK_DAYS || 7);
+
+// stalcraftdb ids are short lowercase alphanumerics ("y3nmw"); keys are the
+// snake_case names the feeds and the calculator use.
+const ITEM_ID = /^[a-z0-9]{3,8}$/;
+const ITEM_KEY = /^[a-z0-9][a-z0-9_]*$/;
+const FIELDS = new Set(["key", "id", "label", "divisor", "category"]);
+
+/** items.json does not pass the schema check. `problems` lists every fault found. */
+export class ItemsFileError extends Error {
+  constructor(file, problems) {
+    super(`${file} is invalid:\n  ${problems.join("\n  ")}`);
+    this.name = "ItemsFileError";
+    this.problems = problems;
+  }
+}
+
+/** The file as stored: either a bare array or `{ _comment, items }`. */
+async function readItemsFile(file) {
+  return JSON.parse(await fs.readFile(file, "utf8"));
+}
+
+/** Faults in one entry on its own, without regard to the others. */
+function entryFaults(entry) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return ["is not an object"];
+  const problems = [];
+  if (!ITEM_ID.test(entry.id ?? "")) problems.push(`id "${entry.id}" is not a stalcraftdb item id`);
+  if (!ITEM_KEY.test(entry.key ?? "")) problems.push(`key "${entry.key}" must be lowercase letters, digits and underscores`);
+  if (entry.label !== undefined && (typeof entry.label !== "string" || !entry.label.trim())) {
+    problems.push("label must be a non-empty string");
+  }
+  if (entry.divisor !== undefined && !(Number.isFinite(entry.divisor) && entry.divisor > 0)) {
+    problems.push(`divisor must be a positive number, not ${entry.divisor}`);
+  }
+  if (entry.category !== undefined && typeof entry.category !== "string") problems.push("category must be a string");
+  const unknown = Object.keys(entry).filter((field) => !FIELDS.has(field));
+  if (unknown.length) problems.push(`unknown field${unknown.length > 1 ? "s" : ""} ${unknown.join(", ")}`);
+  return problems;
+}
+
+/** Every fault in a parsed items.json, each naming the entry it is in. Empty when valid. */
+export function checkItems(raw) {
+  const items = Array.isArray(raw) ? raw : raw?.items;
+  if (!Array.isArray(items)) return ['expected an array of items, or an object with an "items" array'];
+  if (!items.length) return ["no items defined"];
+
+  const problems = [];
+  const keys = new Map();
+  const ids = new Map();
+  items.forEach((entry, i) => {
+    const where = `items[${i}]${entry?.key ? ` (${entry.key})` : ""}`;
+    for (const fault of entryFaults(entry)) problems.push(`${where}: ${fault}`);
+    if (!entry || typeof entry !== "object") return;
+    if (entry.key && keys.has(entry.key)) problems.push(`${where}: key ${entry.key} is also used by items[${keys.get(entry.key)}]`);
+    if (entry.id && ids.has(entry.id)) problems.push(`${where}: id ${entry.id} is also used by items[${ids.get(entry.id)}]`);
+    if (entry.key && !keys.has(entry.key)) keys.set(entry.key, i);
+    if (entry.id && !ids.has(entry.id)) ids.set(entry.id, i);
+  });
+  return problems;
+}
+
+/** The tracked items. Throws ItemsFileError, listing every fault, unless the file is valid. */
+export async function loadItems({ file = ITEMS_FILE } = {}) {
+  let raw;
+  try {
+    raw = await readItemsFile(file);
+  } catch (err) {
+    throw new ItemsFileError(file, [err.code === "ENOENT" ? "file not found" : err.message]);
+  }
+  const problems = checkItems(raw);
+  if (problems.length) throw new ItemsFileError(file, problems);
+  return Array.isArray(raw) ? raw : raw.items;
+}
+
+/** The item a key or id names, or null. */
+export function findItem(items, keyOrId) {
+  return items.find((item) => item.key === keyOrId) ?? items.find((item) => item.id === keyOrId) ?? null;
+}
+
+/** A key from a label: "Advanced spare" → "advanced_spare". */
+export function keyFromLabel(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+/** What is wrong with `entry` as an addition to `items`; empty when it is fine. */
+export function validateItem(entry, items) {
+  const problems = entryFaults(entry);
+  const sameId = items.find((item) => item.id === entry.id);
+  if (sameId) problems.push(`id ${entry.id} is already tracked as ${sameId.key}`);
+  if (items.some((item) => item.key === entry.key)) problems.push(`key ${entry.key} is already in use`);
+  return problems;
+}
+
+/**
+ * Append an item to items.json after validating it. The key defaults to one
+ * made from the label, or the id. Returns the entry as written.
+ */
+export async function addItem({ id, key, label, divisor, category }, { file = ITEMS_FILE } = {}) {
+  const raw = await readItemsFile(file);
+  const items = Array.isArray(raw) ? raw : (raw.items ??= []);
+  const entry = { key: key ?? (label ? keyFromLabel(label) : id), id };
+  if (label !== undefined) entry.label = label;
+  if (divisor !== undefined) entry.divisor = divisor;
+  if (category !== undefined) entry.category = category;
+
+  const problems = validateItem(entry, items);
+  if (problems.length) throw new Error(`Cannot add ${id} to ${file}: ${problems.join("; ")}`);
+  items.push(entry);
+  await writeFileAtomic(file, JSON.stringify(raw, null, 2) + "\n");
+  return entry;
+}
+
+/** Zero-trade counts per region and id, as stored in untradeable_ids.json. */
+export async function loadUntradeable({ file = UNTRADEABLE_FILE } = {}) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { updated: null, regions: {} };
+    throw err;
+  }
+}
+
+export async function saveUntradeable(state, { file = UNTRADEABLE_FILE } = {}) {
+  state.updated = new Date().toISOString();
+  await writeJsonAtomic(file, state);
+}
+
+/**
+ * Why `id` is skipped in `region` this run, or null when it should be polled.
+ * A flagged id is polled again once its recheck falls due.
+ */
+export function skipReason(state, region, id, now = Date.now()) {
+  const entry = state.regions?.[region]?.[id];
+  if (!entry?.flagged) return null;
+  const recheck = Date.parse(entry.lastPolled) + UNTRADEABLE_RECHECK_DAYS * 86_400_000;
+  if (now >= recheck) return null;
+  return `no trades in ${entry.zeroRuns} polls in a row; rechecked after ${new Date(recheck).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Count one poll of `item`. `zero` is true when the host answered with no trades
+ * at all, as opposed to stubs or errors, which say nothing about the item. Any
+ * trade clears the record. Returns "flagged" when this poll flagged the id,
+ * "cleared" when a flagged id traded again, or null.
+ */
+export function recordPoll(state, region, item, zero, now = Date.now()) {
+  const regionState = ((state.regions ??= {})[region] ??= {});
+  const entry = regionState[item.id];
+  if (!zero) {
+    if (!entry) return null;
+    delete regionState[item.id];
+    return entry.flagged ? "cleared" : null;
+  }
+  const next = { key: item.key, zeroRuns: (entry?.zeroRuns ?? 0) + 1, lastPolled: new Date(now).toISOString(), flagged: false };
+  next.flagged = next.zeroRuns >= UNTRADEABLE_AFTER;
+  regionState[item.id] = next;
+  return next.flagged && !entry?.flagged ? "flagged" : null;
+}
@@ -0,0 +1,179 @@
+// lib/quarantine.js
+// Keeps the pages the Source rejected, and a sample of those it accepted.
+//
+// A rejected page used to leave nothing behind but its reason, so there was no
+// way to look at what the host actually sent, or to tell whether a change to
+// inspectPayload would have decided differently. Every rejected page is now saved
+// under quarantine/payloads/rejected/ with its URL, response headers, attempt
+// number and verdict. One accepted page in QUARANTINE_SAMPLE_EVERY is saved under
+// quarantine/payloads/accepted/ as the other half of the evidence. Each directory
+// is capped at QUARANTINE_MAX_BYTES, and the oldest files go first. The folder is
+// gitignored; the workflow keeps it in the Actions cache and uploads it as an
+// artifact, so the rotation never reaches the repo's history.
+//
+// Replay runs the current validator over both and lists what it would now decide
+// differently:
+//
+//   stalcrafter replay [--json]
+
+import fs from "fs/promises";
+import path from "path";
+import { inspectPayload } from "./source.js";
+import { writeFileAtomic } from "./files.js";
+
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || "quarantine";
+const QUARANTINE_SAMPLE_EVERY = Number(process.env.QUARANTINE_SAMPLE_EVERY || 25);
+const QUARANTINE_MAX_BYTES = Number(process.env.QUARANTINE_MAX_BYTES || 5_000_000);
+// A page far larger than the host's usual 200 trades is kept, but cut down to this.
+const MAX_SAVED_PRICES = 1000;
+
+const KINDS = ["rejected", "accepted"];
+
+/**
+ * The archive a Source reports pages to (see the `archive` option of Source).
+ * Saving is best effort: a full disk costs the evidence, never the run.
+ */
+export class PayloadArchive {
+  constructor({ dir = path.join(QUARANTINE_DIR, "payloads"), sampleEvery = QUARANTINE_SAMPLE_EVERY, maxBytes = QUARANTINE_MAX_BYTES } = {}) {
+    this.dir = dir;
+    this.sampleEvery = sampleEvery;
+    this.maxBytes = maxBytes;
+    this.acceptedSeen = 0;
+    this.saved = { rejected: 0, accepted: 0 };
+    this.rotated = 0;
+    this.seq = 0;
+    // File names and sizes per kind, oldest first, read on first use.
+    this.listing = {};
+  }
+
+  /** A page the Source rejected. Always saved. */
+  async rejected(record) {
+    await this.#save("rejected", record);
+  }
+
+  /** A page the Source accepted. One in `sampleEvery` is saved. */
+  async sampleAccepted(record) {
+    if (!this.sampleEvery || this.acceptedSeen++ % this.sampleEvery) return;
+    await this.#save("accepted", record);
+  }
+
+  async #files(kind) {
+    if (!this.listing[kind]) {
+      const dir = path.join(this.dir, kind);
+      const names = (await fs.readdir(dir).catch(() => [])).filter((n) => n.endsWith(".json")).sort();
+      this.listing[kind] = await Promise.all(
+        names.map(async (name) => ({ name, size: (await fs.stat(path.join(dir, name))).size }))
+      );
+    }
+    return this.listing[kind];
+  }
+
+  async #save(kind, record) {
+    try {
+      const savedAt = new Date().toISOString();
+      const prices = record.payload?.prices;
+      const payload =
+        Array.isArray(prices) && prices.length > MAX_SAVED_PRICES
+          ? { ...record.payload, prices: prices.slice(0, MAX_SAVED_PRICES), truncatedFrom: prices.length }
+          : record.payload;
+      const name =
+        `${savedAt.replace(/[:.]/g, "-")}-${String(this.seq++).padStart(4, "0")}-` +
+        `${record.region}-${record.id}-p${record.page}-a${record.attempt}.json`;
+      const text = JSON.stringify({ savedAt, ...record, payload });
+
+      const files = await this.#files(kind);
+      await writeFileAtomic(path.join(this.dir, kind, name), text);
+      files.push({ name, size: Buffer.byteLength(text) });
+      this.saved[kind]++;
+
+      let total = files.reduce((sum, f) => sum + f.size, 0);
+      while (total > this.maxBytes && files.length > 1) {
+        const oldest = files.shift();
+        total -= oldest.size;
+        await fs.rm(path.join(this.dir, kind, oldest.name), { force: true });
+        this.rotated++;
+      }
+    } catch (err) {
+      console.warn(`  could not save a ${kind} page to ${this.dir}: ${err.message}`);
+    }
+  }
+}
+
+/** Every saved record of one kind, oldest first. Unreadable files are skipped. */
+export async function loadQuarantine(kind, { dir = path.join(QUARANTINE_DIR, "payloads") } = {}) {
+  const base = path.join(dir, kind);
+  const names = (await fs.readdir(base).catch(() => [])).filter((n) => n.endsWith(".json")).sort();
+  const records = [];
+  for (const name of names) {
+    try {
+      records.push({ file: path.join(base, name), ...JSON.parse(await fs.readFile(path.join(base, name), "utf8")) });
+    } catch {
+      // A record cut off by a killed run says nothing either way.
+    }
+  }
+  return records;
+}
+
+/**
+ * A page that is sorted newest first with lot detail on every entry: what the
+ * host's real pages look like. Rejecting one of these rests on a weaker signal.
+ */
+function looksReal(payload) {
+  const prices = Array.isArray(payload?.prices) ? payload.prices : [];
+  if (!prices.length) return false;
+  const times = prices.map((p) => Date.parse(p.time));
+  return (
+    times.every((t, i) => Number.isFinite(t) && (i === 0 || times[i - 1] >= t)) &&
+    prices.every((p) => p.additional && Object.keys(p.additional).length > 0)
+  );
+}
+
+/**
+ * Run the current inspectPayload over the archive and list the candidates for
+ * a closer look:
+ *
+ *   false negatives  rejected pages it would now accept, i.e. let through if
+ *                    they were fake
+ *   false positives  accepted samples it would now reject, and rejected pages
+ *                    that look real in every other respect
+ *
+ * Pages rejected by the history cross-check are counted but not replayed: the
+ * stored history they were judged against has moved on since.
+ */
+export async function replayQuarantine({ dir = path.join(QUARANTINE_DIR, "payloads") } = {}) {
+  const report = {
+    rejected: 0,
+    accepted: 0,
+    crossChecked: 0,
+    reasons: {},
+    falseNegatives: [],
+    falsePositives: []
+  };
+  const describe = (record, verdict) => ({
+    file: record.file,
+    url: record.url,
+    savedAt: record.savedAt,
+    was: record.verdict?.reason ?? "accepted",
+    now: verdict.ok ? "accepted" : verdict.reason
+  });
+
+  for (const kind of KINDS) {
+    for (const record of await loadQuarantine(kind, { dir })) {
+      report[kind]++;
+      if (kind === "rejected" && record.verdict?.check === "cross-check") {
+        report.crossChecked++;
+        continue;
+      }
+      const verdict = inspectPayload(record.payload, { knownTotal: record.knownTotal ?? null });
+      if (kind === "rejected") {
+        const reason = verdict.ok ? "accepted now" : verdict.reason.replace(/\d+/g, "N");
+        report.reasons[reason] = (report.reasons[reason] ?? 0) + 1;
+        if (verdict.ok) report.falseNegatives.push(describe(record, verdict));
+        else if (looksReal(record.payload)) report.falsePositives.push(describe(record, verdict));
+      } else if (!verdict.ok) {
+        report.falsePositives.push(describe(record, verdict));
+      }
+    }
+  }
+  return report;
+}
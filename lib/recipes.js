@@ -0,0 +1,140 @@
+// lib/recipes.js
+// Craft-versus-buy costing from recipes.json and a prices.json feed.
+//
+// Plain ESM with no Node imports: the calculator (index.html) loads this file
+// directly, and the tests run the same code.
+//
+// A recipe makes `yield` units of `output` from `ingredients`, and may leave
+// `byproducts`. An ingredient that is itself the output of another recipe is
+// expanded in turn, so the cost is always that of the raw materials at the
+// bottom of the tree. Byproducts are credited at their market price.
+
+/**
+ * The per-unit price the calculator uses for a prices.json entry: the 7-day
+ * weighted average, falling back to 24h when the 7-day window has no clean
+ * samples.
+ */
+export function unitPriceFor(entry) {
+  if (!entry || entry.error) return { value: null, basis: "unavailable" };
+  if (Number.isFinite(entry.avg7d)) return { value: entry.avg7d, basis: "7d" };
+  if (Number.isFinite(entry.avg24h)) return { value: entry.avg24h, basis: "24h" };
+  return { value: null, basis: "no data" };
+}
+
+/**
+ * Validate recipes.json and index it by output key. `items` is what the keys
+ * are checked against: items.json's entries, or a Map or Set of its keys. A
+ * recipe naming an item the poller does not track could never be priced, and
+ * is most likely a typo, so it is rejected rather than shown with no price.
+ */
+export function indexRecipes(raw, { items } = {}) {
+  const list = Array.isArray(raw) ? raw : raw?.recipes;
+  if (!Array.isArray(list)) throw new Error('recipes.json must hold a "recipes" array');
+  const known = knownKeys(items);
+
+  const byOutput = new Map();
+  for (const recipe of list) {
+    const where = `recipe ${recipe?.output ?? "?"}`;
+    if (!recipe?.output) throw new Error('every recipe needs an "output"');
+    if (byOutput.has(recipe.output)) throw new Error(`${where} is defined twice`);
+    if (!Array.isArray(recipe.ingredients) || !recipe.ingredients.length) throw new Error(`${where} has no ingredients`);
+    for (const part of [...recipe.ingredients, ...(recipe.byproducts ?? [])]) {
+      if (!part?.item || !(Number(part.qty) > 0)) throw new Error(`${where}: every entry needs an "item" and a positive "qty"`);
+    }
+    if (recipe.yield !== undefined && !(Number(recipe.yield) > 0)) throw new Error(`${where}: "yield" must be positive`);
+    if (known) {
+      const unknown = [recipe.output, ...recipe.ingredients.map((p) => p.item), ...(recipe.byproducts ?? []).map((p) => p.item)]
+        .filter((key) => !known.has(key));
+      if (unknown.length) throw new Error(`${where}: ${[...new Set(unknown)].join(", ")} not in items.json`);
+    }
+    byOutput.set(recipe.output, { ...recipe, yield: Number(recipe.yield ?? 1) });
+  }
+  return byOutput;
+}
+
+function knownKeys(items) {
+  if (!items) return null;
+  if (items instanceof Map || items instanceof Set) return items;
+  const list = Array.isArray(items) ? items : items.items;
+  return new Set((list ?? []).map((item) => (typeof item === "string" ? item : item?.key)));
+}
+
+function priced(item, qty, prices) {
+  const entry = prices?.[item];
+  const { value, basis } = unitPriceFor(entry);
+  const flags = [];
+  if (!Number.isFinite(value)) flags.push("missing");
+  if (entry?.stale) flags.push("stale");
+  return { item, qty, unitPrice: value, basis, cost: Number.isFinite(value) ? value * qty : null, flags };
+}
+
+/**
+ * Expand `crafts` crafts of the recipe for `output` down to raw materials and
+ * price them from `prices` (a prices.json `prices` object).
+ *
+ * Returns the tree (for display), the leaves summed per item, and the totals.
+ * `complete` is false when any leaf or byproduct has no price, in which case the
+ * totals cover only what could be priced.
+ */
+export function costRecipe(recipes, output, { crafts = 1, prices = {} } = {}) {
+  const leaves = new Map();
+  const byproducts = new Map();
+
+  function expand(item, qty, path) {
+    const recipe = recipes.get(item);
+    if (!recipe) {
+      leaves.set(item, (leaves.get(item) ?? 0) + qty);
+      return { item, qty };
+    }
+    if (path.includes(item)) throw new Error(`Recipe cycle: ${[...path, item].join(" → ")}`);
+
+    const runs = qty / recipe.yield;
+    for (const part of recipe.byproducts ?? []) {
+      byproducts.set(part.item, (byproducts.get(part.item) ?? 0) + part.qty * runs);
+    }
+    return {
+      item,
+      qty,
+      crafts: runs,
+      children: recipe.ingredients.map((part) => expand(part.item, part.qty * runs, [...path, item]))
+    };
+  }
+
+  const recipe = recipes.get(output);
+  if (!recipe) throw new Error(`No recipe for ${output}`);
+  const tree = expand(output, recipe.yield * crafts, []);
+
+  const pricedLeaves = [...leaves].map(([item, qty]) => priced(item, qty, prices));
+  const pricedByproducts = [...byproducts].map(([item, qty]) => priced(item, qty, prices));
+  const market = priced(output, recipe.yield * crafts, prices);
+
+  const sum = (list) => list.reduce((s, p) => s + (p.cost ?? 0), 0);
+  const cost = sum(pricedLeaves);
+  const credit = sum(pricedByproducts);
+  const netCost = cost - credit;
+  const value = market.cost;
+  const profit = Number.isFinite(value) ? value - netCost : null;
+
+  const flagged = [...pricedLeaves, ...pricedByproducts].filter((p) => p.flags.length);
+  return {
+    output,
+    crafts,
+    yield: recipe.yield,
+    tree,
+    leaves: pricedLeaves,
+    byproducts: pricedByproducts,
+    market,
+    cost,
+    byproductCredit: credit,
+    netCost,
+    value,
+    profit,
+    perCraft: {
+      cost: netCost / crafts,
+      value: Number.isFinite(value) ? value / crafts : null,
+      profit: Number.isFinite(profit) ? profit / crafts : null
+    },
+    flagged,
+    complete: !flagged.some((p) => p.flags.includes("missing"))
+  };
+}
@@ -0,0 +1,72 @@
+// lib/run_history.js
+// One line per run of how the host treated it, for status.html.
+//
+// market.json only describes the latest run, so a host that slowly starts
+// serving more stubs, or a poller that has carried every price forward for
+// weeks, looks no different from one bad run. Each run now adds its request
+// count, stub rate, rate-limit hits, ban and carried-forward count to
+// run_history.json, newest first. Only the last RUN_HISTORY_KEEP runs are kept.
+
+import fs from "fs/promises";
+import { writeJsonAtomic } from "./files.js";
+import { upgrade, stamp } from "./schema.js";
+
+const RUN_HISTORY_FILE = process.env.RUN_HISTORY_FILE || "run_history.json";
+const RUN_HISTORY_KEEP = Number(process.env.RUN_HISTORY_KEEP || 200);
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * A run's entry. Totals come from the Source, so they include backfill requests;
+ * `regions` has each region's own figures from its market.json source block.
+ */
+export function runEntry(results, source, { started, stoppedBy = null, partial = false }) {
+  const regions = {};
+  for (const { region, out, market } of results) {
+    const prices = Object.values(out.prices);
+    regions[region] = {
+      requests: market.source.requests,
+      stubsRejected: market.source.stubsRejected,
+      stubRate: rate(market.source.stubsRejected, market.source.requests),
+      rateLimitHits: market.source.rateLimitHits,
+      banned: market.source.banned,
+      items: prices.length,
+      polled: market.schedule.plan.filter((p) => p.polled).length,
+      carriedForward: market.source.carriedForward,
+      stale: prices.filter((p) => p.stale).length,
+      errors: prices.filter((p) => p.error).length,
+      crossCheckRejected: market.source.crossCheck.rejected
+    };
+  }
+  const figures = Object.values(regions);
+  return {
+    started,
+    finished: new Date().toISOString(),
+    partial,
+    stoppedBy,
+    requests: source.stats.requests,
+    stubsRejected: source.stats.stubs,
+    stubRate: rate(source.stats.stubs, source.stats.requests),
+    rateLimitHits: source.stats.rateLimited,
+    banned: source.banned,
+    carriedForward: figures.reduce((sum, r) => sum + r.carriedForward, 0),
+    stale: figures.reduce((sum, r) => sum + r.stale, 0),
+    regions
+  };
+}
+
+/** The recorded runs, newest first. An unreadable file starts the history again. */
+export async function loadRunHistory(file = RUN_HISTORY_FILE) {
+  try {
+    return upgrade("feed", JSON.parse(await fs.readFile(file, "utf8"))).runs ?? [];
+  } catch {
+    return [];
+  }
+}
+
+/** Add `entry` in front of the recorded runs and drop all but the last `keep`. */
+export async function recordRun(entry, { file = RUN_HISTORY_FILE, keep = RUN_HISTORY_KEEP } = {}) {
+  const runs = [entry, ...(await loadRunHistory(file))].slice(0, keep);
+  await writeJsonAtomic(file, stamp("feed", { updated: entry.finished, runs }));
+  return runs;
+}
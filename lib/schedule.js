@@ -0,0 +1,98 @@
+// lib/schedule.js
+// Decides which items a run polls, in what order, and how deep.
+//
+// Polling every item in file order with the same page limit spends as much on an
+// artefact that trades twice a week as on spares that trade hundreds of times a
+// day, and when a 420 cuts a run short it is always the same tail of the list
+// that goes stale. Instead each item gets a priority from three signals:
+//
+//   - how many trades have probably happened since it was last polled (its
+//     recent trade rate from history/ times the hours since the last poll)
+//   - how long its published price has been stale
+//   - how long since it was polled at all, so quiet items still come round
+//
+// and a per-run request budget is spent on the highest priorities first. Items a
+// previous run planned but never reached (see lib/checkpoint.js) go ahead of all
+// of them. The plan, with a reason per item, is published in market.json.
+
+const DAY_MS = 86_400_000;
+const HOUR_MS = 3_600_000;
+
+// Weight of one day of staleness, and of one day without a poll, against the
+// log2 of the expected number of new trades.
+const STALE_WEIGHT = Number(process.env.SCHEDULE_STALE_WEIGHT || 1);
+const AGE_WEIGHT = Number(process.env.SCHEDULE_AGE_WEIGHT || 0.5);
+
+const round = (n, places = 2) => (Number.isFinite(n) ? Number(n.toFixed(places)) : n);
+
+/**
+ * The raw signals for one item. `times` are its stored trade times in ms;
+ * `previous` is its entry in the last market.json (or null) and `previousUpdated`
+ * that file's `updated`, which stands in for `lastPolled` on entries written
+ * before it existed.
+ */
+export function signalsFor({ times = [], previous = null, previousUpdated = null, now = Date.now() } = {}) {
+  const recent = times.filter((t) => t >= now - 7 * DAY_MS).length;
+  const tradesPerDay = recent / 7;
+
+  const staleSince = previous?.stale ? Date.parse(previous.staleSince ?? "") : NaN;
+  const staleHours = Number.isFinite(staleSince) ? Math.max(0, (now - staleSince) / HOUR_MS) : 0;
+
+  const wasPolled = previous && (previous.acceptedPages !== undefined || previous.rejectedPages !== undefined);
+  const lastPolled = Date.parse(previous?.lastPolled ?? (wasPolled ? previousUpdated : "") ?? "");
+  const hoursSincePolled = Number.isFinite(lastPolled) ? Math.max(0, (now - lastPolled) / HOUR_MS) : null;
+
+  return { tradesPerDay, staleHours, hoursSincePolled };
+}
+
+/** Priority, page allowance and a human-readable reason for one item. */
+export function scoreItem({ tradesPerDay, staleHours, hoursSincePolled }, { maxPages = 10, pageSize = 200 } = {}) {
+  if (hoursSincePolled === null) {
+    return { priority: Infinity, pages: maxPages, expectedNew: null, reason: "never polled" };
+  }
+
+  const expectedNew = tradesPerDay * (hoursSincePolled / 24);
+  const priority =
+    Math.log2(1 + expectedNew) + STALE_WEIGHT * (staleHours / 24) + AGE_WEIGHT * (hoursSincePolled / 24);
+
+  // Enough pages to cover the expected new trades and reach one stored trade
+  // beyond them, which is what lets an incremental walk stop.
+  const pages = Math.min(maxPages, Math.floor(expectedNew / pageSize) + 1);
+
+  const parts = [`${round(tradesPerDay, 1)} trades/day`, `${Math.round(hoursSincePolled)}h since last poll`];
+  if (staleHours > 0) parts.push(`stale ${Math.round(staleHours)}h`);
+  return { priority, pages, expectedNew, reason: parts.join(", ") };
+}
+
+/**
+ * Order items by priority and spend `budget` requests on them, greedily. A
+ * budget of 0 selects everything, still in priority order. An item whose page
+ * allowance does not fit is deferred, but cheaper items after it may still fit.
+ * Keys in `resume` are ordered first, by priority among themselves.
+ */
+export function planRun(items, signals, { budget = 0, maxPages = 10, pageSize = 200, resume = [] } = {}) {
+  const resumed = new Set(resume);
+  const scored = items
+    .map((item, index) => {
+      const score = scoreItem(signals[item.key], { maxPages, pageSize });
+      if (!resumed.has(item.key)) return { item, index, resumed: false, ...score };
+      return { item, index, resumed: true, ...score, reason: `unfinished last run; ${score.reason}` };
+    })
+    .sort((a, b) => b.resumed - a.resumed || b.priority - a.priority || a.index - b.index);
+
+  let planned = 0;
+  const plan = scored.map(({ item, priority, pages, reason }) => {
+    const selected = !budget || planned + pages <= budget;
+    if (selected) planned += pages;
+    return {
+      key: item.key,
+      id: item.id,
+      priority: Number.isFinite(priority) ? round(priority) : null,
+      pages,
+      selected,
+      reason: selected ? reason : `${reason}; deferred, over budget`
+    };
+  });
+
+  return { budget: budget || null, plannedRequests: planned, deferred: plan.filter((p) => !p.selected).length, plan };
+}
@@ -0,0 +1,57 @@
+// lib/schema.js
+// Schema versions for the files this repo publishes, and the hooks that bring an
+// older file up to date when it is read.
+//
+// Two families are versioned. "history" covers the shards, manifests and rollups
+// under history/. "feed" covers prices.json, market.json, outliers.json, the
+// region index and the candle files. Every writer stamps `schemaVersion`, and
+// every reader passes what it loaded through upgrade(). A format change then
+// means bumping the version here and adding the step from the old one, and files
+// already in the repo keep working. Plain ESM with no Node imports, because the
+// browser pages decode history shards too.
+
+export const SCHEMA_VERSION = { history: 2, feed: 1 };
+
+// MIGRATIONS[family][n] turns a version-n document into version n + 1.
+const MIGRATIONS = {
+  history: {
+    // Version 1 shards, manifests and rollups named their version `format`.
+    1: ({ format, ...rest }) => ({ schemaVersion: 2, ...rest })
+  },
+  feed: {
+    // Feeds written before versioning carry no marker and need no other change.
+    0: (doc) => ({ schemaVersion: 1, ...doc })
+  }
+};
+
+/** The version a document was written at. Unmarked documents are version 0. */
+export function versionOf(family, doc) {
+  if (Number.isInteger(doc?.schemaVersion)) return doc.schemaVersion;
+  if (family === "history" && Number.isInteger(doc?.format)) return doc.format;
+  return 0;
+}
+
+/**
+ * Bring `doc` up to the current version of `family`, one step at a time. Throws
+ * for a version this code has no path from, including one newer than it knows.
+ */
+export function upgrade(family, doc) {
+  const current = SCHEMA_VERSION[family];
+  let version = versionOf(family, doc);
+  if (version > current) {
+    throw new Error(`${family} schema version ${version} is newer than this code supports (${current})`);
+  }
+  while (version < current) {
+    const step = MIGRATIONS[family][version];
+    if (!step) throw new Error(`No migration for ${family} schema version ${version}`);
+    doc = step(doc);
+    version = versionOf(family, doc);
+  }
+  return doc;
+}
+
+/** `doc` with the current version of `family` as its first field. */
+export function stamp(family, doc) {
+  const { schemaVersion, ...rest } = doc;
+  return { schemaVersion: SCHEMA_VERSION[family], ...rest };
+}
@@ -0,0 +1,256 @@
+// lib/simulator.js
+// Offline stand-in for the stalcraftdb auction-history endpoint.
+//
+// The paths in lib/source.js that matter most — stub retries, 429 cooldowns and
+// the 420 abort — are the ones that cannot be exercised against the live host
+// without risking a ban. This serves pages built from history/ fixtures and
+// misbehaves on request, the same ways the real host does:
+//
+//   ok        a real page: sorted newest first, `additional` populated
+//   stub      the synthetic stub: five shuffled entries, no detail
+//   shuffle   the real page with its timestamps out of order
+//   collapse  a truncated real page whose `total` has collapsed
+//   forge     the real page with every price tripled: sorted and detailed, so
+//             only the cross-check against stored history catches it
+//   429       rate limited
+//   420       temporarily banned
+//   500       server error
+//
+// It can also serve an item database listing at /listing.json (see
+// lib/item_db.js), which is fetched from elsewhere in production and is not
+// rate limited or counted here.
+//
+// Outcomes come from `schedule` (one per request, in order) and, once that runs
+// out, from `rates` drawn with a seeded generator so a run is reproducible.
+//
+//   node lib/simulator.js            # http://127.0.0.1:8787
+//   SIM_PORT=9000 SIM_RATES=stub:0.3,429:0.05 node lib/simulator.js
+//   STALCRAFTDB_URL=http://127.0.0.1:8787 REQUESTS_PER_MINUTE=600 node fetch_and_compute.js
+
+import http from "http";
+import path from "path";
+import { pathToFileURL } from "url";
+import { loadHistory } from "./store.js";
+
+const OUTCOMES = ["ok", "stub", "shuffle", "collapse", "forge", "429", "420", "500"];
+
+/** Small seeded PRNG (mulberry32) so schedules drawn from rates repeat exactly. */
+function seeded(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** "stub:0.3,429:0.05" -> { stub: 0.3, 429: 0.05 } */
+export function parseRates(spec) {
+  const rates = {};
+  for (const part of String(spec ?? "").split(",")) {
+    if (!part.trim()) continue;
+    const [name, value] = part.split(":").map((s) => s.trim());
+    if (!OUTCOMES.includes(name)) throw new Error(`Unknown simulator outcome "${name}"`);
+    rates[name] = Number(value);
+  }
+  return rates;
+}
+
+function shuffled(list, random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Start a simulator. Resolves once it is listening.
+ *
+ * `fixtures` ({ region: { id: trades } }) takes precedence over files in
+ * `historyDir`. With `shiftToNow`, each item's trades are moved forward so the
+ * newest sits at the current time — the committed fixtures age, and a 7-day
+ * window over a month-old file would be empty. `listing` is the item database
+ * served at /listing.json.
+ */
+export async function startSimulator({
+  port = 0,
+  host = "127.0.0.1",
+  historyDir = "history",
+  fixtures = null,
+  pageSize = 200,
+  shiftToNow = true,
+  schedule = [],
+  rates = {},
+  seed = 1,
+  limit = 30,
+  windowSeconds = 60,
+  listing = null,
+  log = false
+} = {}) {
+  for (const outcome of schedule) {
+    if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown simulator outcome "${outcome}"`);
+  }
+
+  const random = seeded(seed);
+  const cache = new Map();
+  const stats = { requests: 0, outcomes: Object.fromEntries(OUTCOMES.map((o) => [o, 0])), paths: [] };
+  let windowStart = Date.now();
+  let windowCount = 0;
+
+  async function tradesFor(region, id) {
+    const cacheKey = `${region}/${id}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    let trades = fixtures?.[region]?.[id] ?? null;
+    if (!trades) trades = (await loadHistory(region, id, { dir: historyDir })).trades;
+
+    trades = [...trades].sort((a, b) => Date.parse(b.time) - Date.parse(a.time));
+    if (shiftToNow && trades.length) {
+      const offset = Date.now() - Date.parse(trades[0].time);
+      trades = trades.map((t) => ({ ...t, time: new Date(Date.parse(t.time) + offset).toISOString() }));
+    }
+    cache.set(cacheKey, trades);
+    return trades;
+  }
+
+  function nextOutcome() {
+    const scheduled = schedule[stats.requests - 1];
+    if (scheduled) return scheduled;
+    let roll = random();
+    for (const [outcome, rate] of Object.entries(rates)) {
+      if (roll < rate) return outcome;
+      roll -= rate;
+    }
+    return "ok";
+  }
+
+  function stubPage() {
+    const now = Date.now();
+    return {
+      total: 5,
+      prices: shuffled([3, 12, 40, 55, 61], random).map((h) => ({
+        amount: 1,
+        price: 500_000,
+        time: new Date(now - h * 3_600_000).toISOString(),
+        additional: {}
+      }))
+    };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://simulator");
+
+    if (url.pathname === "/__sim/stats") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(stats));
+      return;
+    }
+
+    if (url.pathname === "/listing.json" && listing) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(listing));
+      return;
+    }
+
+    const match = url.pathname.match(/^\/api\/items\/([^/]+)\/auction-history$/);
+    if (!match) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "not found" }));
+      return;
+    }
+
+    stats.requests++;
+    stats.paths.push(`${url.pathname}${url.search}`);
+
+    // The published budget: `limit` requests per `windowSeconds`.
+    const now = Date.now();
+    if (now - windowStart >= windowSeconds * 1000) {
+      windowStart = now;
+      windowCount = 0;
+    }
+    windowCount++;
+    const reset = Math.max(0, Math.ceil((windowStart + windowSeconds * 1000 - now) / 1000));
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Ratelimit-Limit": String(limit),
+      "X-Ratelimit-Remaining": String(Math.max(0, limit - windowCount)),
+      "X-Ratelimit-Reset": String(reset)
+    };
+
+    const outcome = windowCount > limit ? "429" : nextOutcome();
+    stats.outcomes[outcome]++;
+    if (log) console.log(`${req.method} ${url.pathname}${url.search} -> ${outcome}`);
+
+    if (outcome === "429" || outcome === "420" || outcome === "500") {
+      res.writeHead(Number(outcome), headers);
+      res.end(JSON.stringify({ error: outcome }));
+      return;
+    }
+
+    if (outcome === "stub") {
+      res.writeHead(200, headers);
+      res.end(JSON.stringify(stubPage()));
+      return;
+    }
+
+    const region = url.searchParams.get("region") || "na";
+    const page = Math.max(0, Number(url.searchParams.get("page")) || 0);
+    const trades = await tradesFor(region, decodeURIComponent(match[1]));
+    let body = { total: trades.length, prices: trades.slice(page * pageSize, (page + 1) * pageSize) };
+
+    if (outcome === "shuffle" && body.prices.length > 1) {
+      // A random shuffle can come out sorted on a short page; swap the ends to be sure.
+      const prices = shuffled(body.prices, random);
+      if (prices.every((p, i) => i === 0 || Date.parse(prices[i - 1].time) >= Date.parse(p.time))) {
+        [prices[0], prices[prices.length - 1]] = [prices[prices.length - 1], prices[0]];
+      }
+      body = { ...body, prices };
+    }
+    if (outcome === "collapse") {
+      const prices = body.prices.slice(0, 9);
+      body = { total: prices.length, prices };
+    }
+    if (outcome === "forge") {
+      body = { ...body, prices: body.prices.map((p) => ({ ...p, price: p.price * 3 })) };
+    }
+
+    res.writeHead(200, headers);
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: String(err) }));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    url: `http://${host}:${address.port}`,
+    stats,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const sim = await startSimulator({
+    port: Number(process.env.SIM_PORT || 8787),
+    historyDir: process.env.HISTORY_DIR || "history",
+    schedule: (process.env.SIM_SCHEDULE || "").split(",").map((s) => s.trim()).filter(Boolean),
+    rates: parseRates(process.env.SIM_RATES),
+    seed: Number(process.env.SIM_SEED || 1),
+    limit: Number(process.env.SIM_LIMIT || 30),
+    log: true
+  });
+  console.log(`stalcraftdb simulator listening on ${sim.url}`);
+}
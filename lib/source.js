@@ -13,21 +13,37 @@
 //      newest first, `additional` populated) or a small synthetic stub with
 //      shuffled timestamps and no detail — apparently at random. Pooling a stub
 //      into the averages silently corrupts them, so every page is validated
-//      before it is accepted.
-
-const BASE = "https://stalcraftdb.net";
-const USER_AGENT =
-  process.env.USER_AGENT ||
-  "Stalcrafter-X poller (+https://github.com/4bidden-knowledge/Stalcrafter-X)";
-
-// Stay well under the published 30/60s budget.
-const REQUESTS_PER_MINUTE = Number(process.env.REQUESTS_PER_MINUTE || 15);
-const MIN_INTERVAL_MS = 60_000 / REQUESTS_PER_MINUTE;
-// Pause for the reset window when the server says this few requests remain.
-const REMAINING_FLOOR = Number(process.env.REMAINING_FLOOR || 6);
-// A stub is bad luck rather than a permanent state, so retry a page a few times.
-const STUB_RETRIES = Number(process.env.STUB_RETRIES || 3);
-const HTTP_RETRIES = Number(process.env.HTTP_RETRIES || 3);
+//      before it is accepted. A fake that is sorted and detailed would pass
+//      that check, so a page is also cross-checked against the item's stored
+//      history when there is some.
+
+import { normalise, median, tierOf, priceReference } from "./stats.js";
+import { tradeKey, timeOf } from "./history_codec.js";
+
+// Nothing here reads process.env or needs Node, so the browser pages use this
+// module unchanged. In Node, lib/env.js maps the environment onto these options.
+export const SOURCE_DEFAULTS = {
+  // Overridable so a run can be pointed at lib/simulator.js instead of the live host.
+  baseUrl: "https://stalcraftdb.net",
+  // Null sends none, as in a browser, which does not let a page set one.
+  userAgent: "Stalcrafter-X poller (+https://github.com/4bidden-knowledge/Stalcrafter-X)",
+  // Stay well under the published 30/60s budget.
+  requestsPerMinute: 15,
+  // Pause for the reset window when the server says this few requests remain.
+  remainingFloor: 6,
+  // A stub is bad luck rather than a permanent state, so retry a page a few times.
+  stubRetries: 3,
+  httpRetries: 3,
+  // The host's own client waits 60 seconds after a 429. Only the simulator tests
+  // have a reason to shorten this.
+  rateLimitCooldown: 60,
+  // Whether pages are cross-checked against stored history at all.
+  crossCheck: true,
+  // Share of the stored trades inside a page's span that the page must reproduce.
+  crossCheckMinMatch: 0.9,
+  // How far a page's median may sit from the stored one, in scaled MADs.
+  crossCheckMaxDeviations: 10
+};
 
 export class BannedError extends Error {
   constructor() {
@@ -41,6 +57,9 @@ export class BannedError extends Error {
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+// The span of stored trades the price check's reference is taken from.
+const REFERENCE_DAYS = 30;
+
 /**
  * Is this payload real auction history, or the synthetic stub?
  *
@@ -72,20 +91,142 @@ export function inspectPayload(payload, { knownTotal = null } = {}) {
   return { ok: true, empty: false };
 }
 
+/**
+ * What a walk needs to know about the trades already held for an item, whether
+ * in history/ (knownTrades in lib/store.js) or a browser cache: their times (ms,
+ * newest first), a membership test on the same key the merge dedupes on, and
+ * each tier's recent price level (see priceReference in lib/stats.js).
+ * Incremental walks stop on the first two; pages are cross-checked against all
+ * three. `referenceFrom` is where the reference's window starts. Null when there
+ * is nothing to go on.
+ */
+export function knownFrom(trades) {
+  if (!trades?.length) return null;
+  const keys = new Set(trades.map(tradeKey));
+  const times = trades
+    .map(timeOf)
+    .filter(Number.isFinite)
+    .sort((a, b) => b - a);
+  if (!times.length) return null;
+  return {
+    newest: times[0],
+    times,
+    has: (entry) => keys.has(tradeKey(entry)),
+    reference: priceReference(trades, { windowDays: REFERENCE_DAYS }),
+    referenceFrom: Date.now() - REFERENCE_DAYS * 86_400_000
+  };
+}
+
+/**
+ * Does a page that passed inspectPayload agree with what is already stored?
+ * `known` is from knownFrom.
+ *
+ * Auction history does not change once written, so every stored trade inside
+ * the page's time span must be on the page. Only that direction is checked: the
+ * page may carry trades the archive lacks, which is how gaps get filled. The
+ * oldest second on the page is left out because its trades can run on to the
+ * next page. Separately, each tier's median unit price on the page must be
+ * within `maxDeviations` scaled MADs of the stored one, with the
+ * scale floored at 5% of the price so a flat commodity can still move. Only
+ * trades inside the reference's window are priced, so a backfill page from
+ * months ago, when prices sat elsewhere, is held to the overlap check alone.
+ * Either check is skipped when there is too little to judge by.
+ *
+ * A real move of 50% or more fails the price check too. The Source therefore
+ * fetches such a page again and accepts it when both copies hold the same
+ * trades, which real history does and a made-up page does not (see #page).
+ *
+ * Returns `{ ok, checked, kind?, reason? }`, where `kind` is "overlap" or "price".
+ */
+export function crossCheckPage(prices, known, {
+    minMatch = SOURCE_DEFAULTS.crossCheckMinMatch,
+    maxDeviations = SOURCE_DEFAULTS.crossCheckMaxDeviations
+  } = {}) {
+  if (!known || !prices?.length) return { ok: true, checked: false };
+
+  const newest = Date.parse(prices[0].time);
+  const oldest = Date.parse(prices[prices.length - 1].time);
+  const storedInSpan = known.times.filter((t) => t > oldest && t <= newest).length;
+  if (storedInSpan >= 3) {
+    const onPage = new Map(prices.filter((p) => Date.parse(p.time) > oldest).map((p) => [tradeKey(p), p]));
+    const reproduced = [...onPage.values()].filter((p) => known.has(p)).length;
+    if (reproduced / storedInSpan < minMatch) {
+      return {
+        ok: false,
+        checked: true,
+        kind: "overlap",
+        reason: `reproduces ${reproduced} of ${storedInSpan} stored trades in its time span`
+      };
+    }
+  }
+
+  const tiers = new Map();
+  const since = known.referenceFrom ?? -Infinity;
+  for (const trade of normalise(prices).filter((t) => t.ts >= since)) {
+    const tier = tierOf(trade);
+    if (!tiers.has(tier)) tiers.set(tier, []);
+    tiers.get(tier).push(trade.unitPrice);
+  }
+  for (const [tier, unitPrices] of tiers) {
+    const ref = known.reference?.[tier];
+    if (!ref || ref.count < 20 || unitPrices.length < 5) continue;
+    const pageMedian = median(unitPrices);
+    const scale = Math.max(1.4826 * ref.mad, ref.median * 0.05);
+    const deviations = Math.abs(pageMedian - ref.median) / scale;
+    if (deviations > maxDeviations) {
+      return {
+        ok: false,
+        checked: true,
+        kind: "price",
+        reason: `tier ${tier} median ${Math.round(pageMedian)} is ${deviations.toFixed(1)} MADs from the stored ${Math.round(ref.median)}`
+      };
+    }
+  }
+  return { ok: true, checked: true };
+}
+
+/** Do two copies of a page share at least `minShare` of the larger one's trades? */
+function sameTrades(a, b, minShare) {
+  let shared = 0;
+  for (const key of a) if (b.has(key)) shared++;
+  return shared / Math.max(a.size, b.size) >= minShare;
+}
+
 export class Source {
-  constructor({ region = "na" } = {}) {
+  /**
+   * `archive`, when given, is told about every page: `rejected(record)` for each
+   * rejected one and `sampleAccepted(record)` for each accepted one, where a
+   * record is `{url, region, id, page, attempt, status, headers, knownTotal,
+   * verdict, payload}`. See PayloadArchive in lib/quarantine.js.
+   *
+   * Every other option overrides one of SOURCE_DEFAULTS. `fetch` replaces the
+   * global one, for a page that has to go through a proxy or a test.
+   */
+  constructor({ region = "na", archive = null, fetch = globalThis.fetch, ...options } = {}) {
     this.region = region;
+    this.archive = archive;
+    // Wrapped, because a browser's fetch refuses to be called as a method of anything else.
+    this.fetch = (url, init) => fetch(url, init);
+    this.config = { ...SOURCE_DEFAULTS, ...options };
+    this.baseUrl = this.config.baseUrl.replace(/\/+$/, "");
     this.lastRequestAt = 0;
     this.remaining = null;
     this.reset = null;
     this.banned = false;
-    this.stats = { requests: 0, stubs: 0, rateLimited: 0, retries: 0 };
+    // crossChecked counts pages checked against stored history; overlapMismatches
+    // and implausiblePrices are the ones it rejected, by check. priceMoves are
+    // pages that failed the price check but were fetched twice the same.
+    this.stats = {
+      requests: 0, stubs: 0, rateLimited: 0, retries: 0,
+      crossChecked: 0, overlapMismatches: 0, implausiblePrices: 0, priceMoves: 0
+    };
   }
 
   async #throttle() {
+    const minInterval = 60_000 / this.config.requestsPerMinute;
     const gap = Date.now() - this.lastRequestAt;
-    if (gap < MIN_INTERVAL_MS) await sleep(MIN_INTERVAL_MS - gap);
-    if (this.remaining !== null && this.remaining <= REMAINING_FLOOR) {
+    if (gap < minInterval) await sleep(minInterval - gap);
+    if (this.remaining !== null && this.remaining <= this.config.remainingFloor) {
       const waitMs = ((this.reset ?? 60) + 1) * 1000;
       console.log(`  budget nearly spent (${this.remaining} left), waiting ${Math.round(waitMs / 1000)}s`);
       this.remaining = null;
@@ -97,17 +238,18 @@ export class Source {
   async #get(url) {
     if (this.banned) throw new BannedError();
 
-    for (let attempt = 1; attempt <= HTTP_RETRIES; attempt++) {
+    const { httpRetries, rateLimitCooldown, userAgent } = this.config;
+    for (let attempt = 1; attempt <= httpRetries; attempt++) {
       await this.#throttle();
 
       let resp;
       try {
-        resp = await fetch(url, {
-          headers: { Accept: "application/json", "User-Agent": USER_AGENT },
+        resp = await this.fetch(url, {
+          headers: { Accept: "application/json", ...(userAgent ? { "User-Agent": userAgent } : {}) },
           signal: AbortSignal.timeout(25_000)
         });
       } catch (err) {
-        if (attempt === HTTP_RETRIES) throw new Error(`Network error for ${url}: ${err?.message || err}`);
+        if (attempt === httpRetries) throw new Error(`Network error for ${url}: ${err?.message || err}`);
         await sleep(1000 * attempt);
         continue;
       }
@@ -127,21 +269,21 @@ export class Source {
 
       if (resp.status === 429) {
         this.stats.rateLimited++;
-        const waitSeconds = Math.max(Number.isFinite(reset) ? reset : 60, 60);
+        const waitSeconds = Math.max(Number.isFinite(reset) ? reset : rateLimitCooldown, rateLimitCooldown);
         console.warn(`  rate limited, waiting ${waitSeconds}s before retrying`);
-        if (attempt === HTTP_RETRIES) throw new Error(`Rate limited repeatedly on ${url}`);
+        if (attempt === httpRetries) throw new Error(`Rate limited repeatedly on ${url}`);
         await sleep((waitSeconds + 1) * 1000);
         continue;
       }
 
       if (!resp.ok) {
-        if (resp.status < 500 || attempt === HTTP_RETRIES) throw new Error(`HTTP ${resp.status} for ${url}`);
+        if (resp.status < 500 || attempt === httpRetries) throw new Error(`HTTP ${resp.status} for ${url}`);
         await sleep(700 * 2 ** (attempt - 1));
         continue;
       }
 
       try {
-        return await resp.json();
+        return { payload: await resp.json(), status: resp.status, headers: Object.fromEntries(resp.headers) };
       } catch (err) {
         throw new Error(`Invalid JSON from ${url}: ${err?.message || err}`);
       }
@@ -149,58 +291,160 @@ export class Source {
     throw new Error(`Gave up on ${url}`);
   }
 
-  /** Fetch one page, retrying while the host answers with a synthetic stub. */
-  async #page(id, page, knownTotal) {
+  /**
+   * Fetch one page, retrying while the host answers with a synthetic stub or a
+   * page that disagrees with stored history.
+   *
+   * Failing the price check alone is not final. If the next copy of the page
+   * fails it the same way and holds the same trades, the prices really moved:
+   * history does not change between two requests, and a made-up page would.
+   * Without this, a move beyond the check's limit would be rejected on every
+   * run and the item would stay stale until the old prices aged out.
+   */
+  async #page(id, page, knownTotal, region, known = null) {
     let lastReason = null;
-    for (let attempt = 1; attempt <= STUB_RETRIES; attempt++) {
-      const payload = await this.#get(
-        `${BASE}/api/items/${id}/auction-history?region=${this.region}&page=${page}`
-      );
-      const verdict = inspectPayload(payload, { knownTotal });
+    // The trade keys of the last copy rejected by the price check alone.
+    let priceRejected = null;
+    const { stubRetries, crossCheck, crossCheckMinMatch, crossCheckMaxDeviations } = this.config;
+    for (let attempt = 1; attempt <= stubRetries; attempt++) {
+      const url = `${this.baseUrl}/api/items/${id}/auction-history?region=${region}&page=${page}`;
+      const { payload, status, headers } = await this.#get(url);
+      let verdict = { ...inspectPayload(payload, { knownTotal }), check: "inspect" };
+      if (!verdict.ok) {
+        this.stats.stubs++;
+      } else if (crossCheck && known && !verdict.empty) {
+        const check = crossCheckPage(payload.prices, known, {
+          minMatch: crossCheckMinMatch,
+          maxDeviations: crossCheckMaxDeviations
+        });
+        if (check.checked) this.stats.crossChecked++;
+        const keys = check.kind === "price" ? new Set(payload.prices.map(tradeKey)) : null;
+        if (keys && priceRejected && sameTrades(keys, priceRejected, crossCheckMinMatch)) {
+          this.stats.priceMoves++;
+          verdict = { ok: true, empty: false, check: "cross-check", reason: `price move confirmed: ${check.reason}` };
+        } else if (!check.ok) {
+          this.stats[check.kind === "overlap" ? "overlapMismatches" : "implausiblePrices"]++;
+          verdict = { ok: false, reason: `disagrees with stored history: ${check.reason}`, check: "cross-check" };
+        }
+        priceRejected = verdict.ok ? null : keys;
+      }
+      if (this.archive && !(verdict.ok && verdict.empty)) {
+        const record = { url, region, id, page, attempt, status, headers, knownTotal, verdict, payload };
+        await (verdict.ok ? this.archive.sampleAccepted(record) : this.archive.rejected(record));
+      }
       if (verdict.ok) {
         if (attempt > 1) this.stats.retries += attempt - 1;
         return { ...payload, accepted: true, empty: verdict.empty };
       }
-      this.stats.stubs++;
       lastReason = verdict.reason;
     }
     return { total: 0, prices: [], accepted: false, reason: lastReason };
   }
 
+  /**
+   * One page of an item's history, paced, validated and retried exactly as the
+   * pages of a walk are: `{total, prices, accepted}`. With `known`, it is also
+   * cross-checked. For callers that walk on their own terms, such as the
+   * backfill in lib/backfill.js.
+   */
+  async fetchPage(id, page, { region = this.region, knownTotal = null, known = null } = {}) {
+    return this.#page(id, page, knownTotal, region, known);
+  }
+
   /**
    * Walk history pages newest-first until `windowDays` is covered or `maxPages`
    * is reached. Rejected pages do not stop the walk — the next page may be fine —
    * but they contribute nothing.
+   *
+   * `region` overrides the instance default. One Source can then serve every
+   * region in a run, so the pacing and the 420 abort cover all of them together:
+   * the host's budget is per client, not per region.
+   *
+   * `known` (see knownFrom) is the item's stored history. Every
+   * page is cross-checked against it (see crossCheckPage), and with
+   * `incremental` the walk uses it to stop early: once a
+   * page reaches back past the newest stored trade and everything on it from
+   * there on is already stored, the rest of the window is too, and the walk
+   * stops. If anything in that overlap is missing, the page and the stored copy
+   * disagree and the walk carries on to the cutoff, so a gap cannot form quietly.
+   * `fullWalkPages` is the page limit for that case, and for the savings estimate,
+   * when `maxPages` is a smaller allowance from the schedule.
    */
-  async fetchHistory(id, { maxPages = 10, windowDays = 7, knownTotal = null } = {}) {
+  async fetchHistory(
+    id,
+    {
+      maxPages = 10, fullWalkPages = maxPages, windowDays = 7, knownTotal = null,
+      region = this.region, known = null, incremental = true
+    } = {}
+  ) {
     const cutoff = Date.now() - windowDays * 86_400_000;
     const collected = [];
     let reportedTotal = 0;
     let acceptedPages = 0;
     let rejectedPages = 0;
+    let pages = 0;
+    let pageSize = 0;
+    let stop = "maxPages";
+    let overlap = null;
+    let oldestSeen = null;
+    let limit = maxPages;
 
-    for (let page = 0; page < maxPages; page++) {
-      const result = await this.#page(id, page, knownTotal);
+    for (let page = 0; page < limit; page++) {
+      pages++;
+      const result = await this.#page(id, page, knownTotal, region, known);
 
       if (!result.accepted) {
         rejectedPages++;
         // Page 0 being fabricated says nothing about page 1, but several in a row
         // means the host is in a bad phase — stop rather than burn the budget.
-        if (rejectedPages >= 2) break;
+        if (rejectedPages >= 2) {
+          stop = "rejected";
+          break;
+        }
         continue;
       }
 
       acceptedPages++;
       reportedTotal = Math.max(reportedTotal, Number(result.total) || 0);
       const prices = result.prices ?? [];
-      if (!prices.length) break;
+      if (!prices.length) {
+        stop = "end";
+        break;
+      }
 
       collected.push(...prices);
+      pageSize = Math.max(pageSize, prices.length);
 
       const oldest = Date.parse(prices[prices.length - 1]?.time);
-      if (Number.isFinite(oldest) && oldest < cutoff) break;
+      if (Number.isFinite(oldest)) oldestSeen = oldest;
+      if (Number.isFinite(oldest) && oldest < cutoff) {
+        stop = "cutoff";
+        break;
+      }
+
+      if (incremental && known && overlap === null) {
+        const older = prices.filter((p) => Date.parse(p.time) < known.newest);
+        if (older.length) {
+          if (older.every((p) => known.has(p))) {
+            overlap = "confirmed";
+            stop = "overlap";
+            break;
+          }
+          overlap = "failed";
+          limit = Math.max(limit, fullWalkPages);
+        }
+      }
+    }
+
+    // What stopping early saved: the stored trades between the last page fetched
+    // and the cutoff, at this item's page size, are the pages a full walk would
+    // have requested on top.
+    let requestsSaved = 0;
+    if (stop === "overlap" && pageSize) {
+      const remaining = known.times.filter((t) => t < oldestSeen && t >= cutoff).length;
+      requestsSaved = Math.max(0, Math.min(fullWalkPages - pages, Math.ceil(remaining / pageSize)));
     }
 
-    return { prices: collected, reportedTotal, acceptedPages, rejectedPages };
+    return { prices: collected, reportedTotal, acceptedPages, rejectedPages, pages, stop, overlap, requestsSaved };
   }
 }
@@ -1,13 +1,27 @@
 // lib/stats.js
-// Per-unit price statistics with MAD-based outlier removal.
+// Per-unit price statistics with MAD-based outlier removal, candles, trends and
+// the daily rollups that outlive raw retention.
 //
 // The outlier method is the original one from fetch_and_compute.js: a modified
 // z-score built on the median absolute deviation. It is kept because it adapts —
 // it removes nothing when the data is clean and a lot when it is not, unlike a
 // fixed percentile trim which always discards the same fraction.
+//
+// Plain ESM with no Node imports and no process.env: the browser pages compute
+// with this same module, so they agree with the feed to the unit. Node entry
+// points apply OUTLIER_MAD_THRESHOLD and MIN_SAMPLES_FOR_OUTLIER_DETECTION
+// through configureStats (see lib/env.js).
+
+const config = { outlierMadThreshold: 2.5, minSamplesForOutlierDetection: 5 };
 
-export const OUTLIER_MAD_THRESHOLD = Number(process.env.OUTLIER_MAD_THRESHOLD || 2.5);
-export const MIN_SAMPLES_FOR_OUTLIER_DETECTION = Number(process.env.MIN_SAMPLES_FOR_OUTLIER_DETECTION || 5);
+/** Change the outlier settings for every later call. Returns the settings now in force. */
+export function configureStats(overrides = {}) {
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!(name in config)) throw new Error(`Unknown stats setting "${name}"`);
+    if (value !== undefined) config[name] = value;
+  }
+  return { ...config };
+}
 
 export function median(arr) {
   if (!arr || !arr.length) return null;
@@ -35,8 +49,8 @@ function quantile(sorted, q) {
   return sorted[lo] + (pos - lo) * (sorted[hi] - sorted[lo]);
 }
 
-export function detectOutliers(unitPrices, threshold = OUTLIER_MAD_THRESHOLD) {
-  if (!unitPrices || unitPrices.length < MIN_SAMPLES_FOR_OUTLIER_DETECTION) {
+export function detectOutliers(unitPrices, threshold = config.outlierMadThreshold) {
+  if (!unitPrices || unitPrices.length < config.minSamplesForOutlierDetection) {
     return unitPrices.map(() => false);
   }
   const med = median(unitPrices);
@@ -73,7 +87,68 @@ export function normalise(trades) {
     .filter((p) => !Number.isNaN(p.ts) && Number.isFinite(p.unitPrice) && p.unitPrice > 0 && p.amount > 0);
 }
 
-/** Weighted per-unit stats over a trailing window, with outliers removed. */
+export const tierOf = (trade) => trade.qlt ?? "unknown";
+
+/** Tier order for output: numeric tiers ascending, "unknown" last. */
+function byQuality(a, b) {
+  if (a === "unknown") return 1;
+  if (b === "unknown") return -1;
+  return a - b;
+}
+
+/**
+ * What a tier's prices normally look like, for judging a new page against:
+ * `{tier: {median, mad, count}}` of unit prices over the last `windowDays`,
+ * from at most the newest `maxSamples` trades of each tier. Capping it keeps the
+ * reference on the current level: once a real move has been accepted, the next
+ * page is judged against the new prices, not a month of old ones.
+ */
+export function priceReference(trades, { windowDays = 30, maxSamples = 100, preNormalised = false, now = Date.now() } = {}) {
+  const cutoff = now - windowDays * 86_400_000;
+  const groups = new Map();
+  const recent = (preNormalised ? trades : normalise(trades)).filter((p) => p.ts >= cutoff).sort((a, b) => b.ts - a.ts);
+  for (const trade of recent) {
+    const tier = tierOf(trade);
+    if (!groups.has(tier)) groups.set(tier, []);
+    if (groups.get(tier).length < maxSamples) groups.get(tier).push(trade.unitPrice);
+  }
+  const reference = {};
+  for (const [tier, prices] of groups) {
+    const med = median(prices);
+    reference[tier] = { median: med, mad: mad(prices, med), count: prices.length };
+  }
+  return reference;
+}
+
+/**
+ * MAD outlier flags computed within each quality tier. On gear and artefacts the
+ * tiers sit orders of magnitude apart, so pooled MAD either throws a whole
+ * legitimate tier away or lets the mixture through. With one tier — every
+ * commodity — this is exactly detectOutliers over the lot.
+ */
+export function flagOutliersByTier(normalized) {
+  const groups = new Map();
+  normalized.forEach((trade, i) => {
+    const tier = tierOf(trade);
+    if (!groups.has(tier)) groups.set(tier, []);
+    groups.get(tier).push(i);
+  });
+
+  const flags = new Array(normalized.length).fill(false);
+  for (const indexes of groups.values()) {
+    const groupFlags = detectOutliers(indexes.map((i) => normalized[i].unitPrice));
+    indexes.forEach((i, n) => {
+      flags[i] = groupFlags[n];
+    });
+  }
+  return flags;
+}
+
+/**
+ * Weighted per-unit stats over a trailing window, with outliers removed. Outliers
+ * are found within each quality tier (see flagOutliersByTier); the summary is
+ * over every tier's clean trades together.
+ */
 export function computeWindowStats(trades, windowDays, { key = "item", preNormalised = false } = {}) {
   const cutoff = Date.now() - windowDays * 86_400_000;
   const normalized = (preNormalised ? trades : normalise(trades)).filter((p) => p.ts >= cutoff);
@@ -85,8 +160,7 @@ export function computeWindowStats(trades, windowDays, { key = "item", preNormal
   };
   if (!normalized.length) return empty;
 
-  const unitPrices = normalized.map((p) => p.unitPrice);
-  const flags = detectOutliers(unitPrices);
+  const flags = flagOutliersByTier(normalized);
 
   const outliers = [];
   const clean = [];
@@ -99,6 +173,7 @@ export function computeWindowStats(trades, windowDays, { key = "item", preNormal
         price: p.price,
         amount: p.amount,
         unitPrice: Math.round(p.unitPrice),
+        quality: tierOf(p),
         reason: "MAD_outlier"
       });
     } else {
@@ -129,6 +204,268 @@ export function computeWindowStats(trades, windowDays, { key = "item", preNormal
   };
 }
 
+/**
+ * Full window stats for each quality tier on its own, in tier order. Outliers are
+ * the same ones computeWindowStats removes, since both detect within tiers.
+ */
+export function tierWindowStats(trades, windowDays, { key = "item", preNormalised = false } = {}) {
+  const cutoff = Date.now() - windowDays * 86_400_000;
+  const normalized = (preNormalised ? trades : normalise(trades)).filter((p) => p.ts >= cutoff);
+
+  const groups = new Map();
+  for (const trade of normalized) {
+    const tier = tierOf(trade);
+    if (!groups.has(tier)) groups.set(tier, []);
+    groups.get(tier).push(trade);
+  }
+
+  return [...groups.keys()].sort(byQuality).map((quality) => {
+    const w = computeWindowStats(groups.get(quality), windowDays, { key, preNormalised: true });
+    return {
+      quality,
+      avg: w.avg, median: w.median, p25: w.p25, p75: w.p75, min: w.min, max: w.max,
+      count: w.count, clean: w.cleanCount, outliersRemoved: w.outliersRemoved, units: w.totalUnits
+    };
+  });
+}
+
+const CANDLE_INTERVALS = { hour: 3_600_000, day: 86_400_000 };
+
+/**
+ * OHLC candles over fixed UTC buckets ("hour" or "day"), oldest first. MAD runs
+ * within each bucket (and tier) rather than over the whole series, so a price that has
+ * genuinely moved over the weeks is not mistaken for an outlier against where it
+ * used to be. Open and close are the first and last clean trades in the bucket;
+ * volume is in units. Buckets with no trades are omitted rather than filled.
+ */
+export function candles(trades, { interval = "day", sinceDays = null, preNormalised = false } = {}) {
+  const size = CANDLE_INTERVALS[interval];
+  if (!size) throw new Error(`Unknown candle interval "${interval}"`);
+  const cutoff = sinceDays ? Date.now() - sinceDays * 86_400_000 : -Infinity;
+  const normalized = (preNormalised ? trades : normalise(trades)).filter((p) => p.ts >= cutoff);
+
+  const buckets = new Map();
+  for (const trade of normalized) {
+    const start = Math.floor(trade.ts / size) * size;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(trade);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, group]) => {
+      const flags = flagOutliersByTier(group);
+      const clean = group.filter((_, i) => !flags[i]).sort((a, b) => a.ts - b.ts);
+      const vals = clean.map((t) => t.unitPrice);
+      const units = clean.reduce((s, t) => s + t.amount, 0);
+      const weighted = clean.reduce((s, t) => s + t.unitPrice * t.amount, 0);
+      return {
+        t: new Date(start).toISOString(),
+        open: Math.round(vals[0]),
+        high: Math.round(Math.max(...vals)),
+        low: Math.round(Math.min(...vals)),
+        close: Math.round(vals[vals.length - 1]),
+        avg: units > 0 ? Math.round(weighted / units) : null,
+        median: Math.round(median(vals)),
+        volume: units,
+        trades: clean.length,
+        outliersRemoved: group.length - clean.length
+      };
+    });
+}
+
+/** Summary of a set of clean trades, in the field names the feed uses. */
+function summarise(clean, count) {
+  const vals = clean.map((t) => t.unitPrice);
+  const sorted = [...vals].sort((a, b) => a - b);
+  const units = clean.reduce((s, t) => s + t.amount, 0);
+  const weighted = clean.reduce((s, t) => s + t.unitPrice * t.amount, 0);
+  const round = (n) => (Number.isFinite(n) ? Math.round(n) : null);
+  return {
+    avg: units > 0 ? Math.round(weighted / units) : null,
+    median: round(median(vals)),
+    p25: round(quantile(sorted, 0.25)),
+    p75: round(quantile(sorted, 0.75)),
+    min: sorted.length ? Math.round(sorted[0]) : null,
+    max: sorted.length ? Math.round(sorted[sorted.length - 1]) : null,
+    count,
+    clean: clean.length,
+    outliersRemoved: count - clean.length,
+    units
+  };
+}
+
+/**
+ * Permanent daily aggregates, oldest first, for trades about to leave the raw
+ * archive. One row per UTC day, with MAD applied within the day and tier as in
+ * candles(). A day with several quality tiers also carries a row per tier; a day
+ * with one names it in `quality` instead, so commodities do not store every
+ * figure twice.
+ */
+export function dailyRollups(trades, { preNormalised = false } = {}) {
+  const size = CANDLE_INTERVALS.day;
+  const buckets = new Map();
+  for (const trade of preNormalised ? trades : normalise(trades)) {
+    const start = Math.floor(trade.ts / size) * size;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(trade);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, group]) => {
+      const flags = flagOutliersByTier(group);
+      const row = { day: new Date(start).toISOString().slice(0, 10), ...summarise(group.filter((_, i) => !flags[i]), group.length) };
+
+      const byTier = new Map();
+      group.forEach((trade, i) => {
+        const tier = tierOf(trade);
+        if (!byTier.has(tier)) byTier.set(tier, { all: [], clean: [] });
+        byTier.get(tier).all.push(trade);
+        if (!flags[i]) byTier.get(tier).clean.push(trade);
+      });
+      if (byTier.size === 1) {
+        row.quality = [...byTier.keys()][0];
+      } else {
+        row.tiers = [...byTier.keys()].sort(byQuality).map((quality) => ({
+          quality,
+          ...summarise(byTier.get(quality).clean, byTier.get(quality).all.length)
+        }));
+      }
+      return row;
+    });
+}
+
+/**
+ * Window stats reaching past raw retention: days still held as raw trades are
+ * rolled up on the fly, older days come from the stored rollups, and the two are
+ * combined. `avg` is weighted by units as in computeWindowStats. The rollups no
+ * longer have their trades, so `median`, `p25` and `p75` are taken over daily
+ * medians rather than individual trades.
+ */
+export function longWindowStats(trades, rollups, windowDays, { preNormalised = false, now = Date.now() } = {}) {
+  const cutoff = now - windowDays * 86_400_000;
+  const firstDay = new Date(cutoff).toISOString().slice(0, 10);
+  const raw = dailyRollups((preNormalised ? trades : normalise(trades)).filter((p) => p.ts >= cutoff), { preNormalised: true });
+  const rawDays = new Set(raw.map((d) => d.day));
+  const stored = (rollups ?? []).filter((d) => d.day >= firstDay && !rawDays.has(d.day));
+  const days = [...stored, ...raw].filter((d) => d.clean > 0);
+
+  const units = days.reduce((s, d) => s + d.units, 0);
+  const medians = days.map((d) => d.median).sort((a, b) => a - b);
+  const sum = (field) => [...stored, ...raw].reduce((s, d) => s + d[field], 0);
+  return {
+    avg: units > 0 ? Math.round(days.reduce((s, d) => s + d.avg * d.units, 0) / units) : null,
+    median: medians.length ? Math.round(median(medians)) : null,
+    p25: medians.length ? Math.round(quantile(medians, 0.25)) : null,
+    p75: medians.length ? Math.round(quantile(medians, 0.75)) : null,
+    min: days.length ? Math.min(...days.map((d) => d.min)) : null,
+    max: days.length ? Math.max(...days.map((d) => d.max)) : null,
+    count: sum("count"),
+    clean: sum("clean"),
+    units,
+    days: days.length,
+    rollupDays: stored.length
+  };
+}
+
+// Below these, a trend figure is still published but flagged `thin`.
+const MIN_TREND_WINDOW_SAMPLES = 5;
+const MIN_TREND_DAYS = 3;
+const EWMA_HALF_LIFE_DAYS = 3;
+
+const pctChange = (from, to) => (Number.isFinite(from) && Number.isFinite(to) && from > 0 ? ((to - from) / from) * 100 : null);
+const round1 = (n) => (Number.isFinite(n) ? Math.round(n * 10) / 10 : null);
+
+/** Least-squares fit of y on x. */
+function linearFit(xs, ys) {
+  const n = xs.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (sxx === 0) return { slope: null, r2: null };
+  const slope = sxy / sxx;
+  return { slope, r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy) };
+}
+
+/**
+ * Direction and stability of an item's price, from the stored history.
+ *
+ *   ewma           daily weighted averages, exponentially decayed by age
+ *   change24hVs7d  % change of the 24h weighted average against the 7d one
+ *   change7dVs30d  % change of the 7d weighted average against the 30d one
+ *   slope          least-squares trend of daily medians over all stored days
+ *   volatility     coefficient of variation of daily medians over 30 days
+ *
+ * Every figure carries the samples it rests on and is marked `thin` when they
+ * fall short, so two trades this week do not read as a confident 40% rally.
+ */
+export function trend(trades, { preNormalised = false } = {}) {
+  const normalized = preNormalised ? trades : normalise(trades);
+  const w24 = computeWindowStats(normalized, 1, { preNormalised: true });
+  const w7 = computeWindowStats(normalized, 7, { preNormalised: true });
+  const w30 = computeWindowStats(normalized, 30, { preNormalised: true });
+  const days = candles(normalized, { interval: "day", preNormalised: true });
+
+  const now = Date.now();
+  let weightSum = 0;
+  let valueSum = 0;
+  for (const day of days) {
+    if (!Number.isFinite(day.avg)) continue;
+    const ageDays = (now - Date.parse(day.t)) / 86_400_000;
+    const weight = 0.5 ** (ageDays / EWMA_HALF_LIFE_DAYS);
+    weightSum += weight;
+    valueSum += weight * day.avg;
+  }
+
+  const xs = days.map((d) => Date.parse(d.t) / 86_400_000);
+  const ys = days.map((d) => d.median);
+  const fit = days.length >= 2 ? linearFit(xs, ys) : { slope: null, r2: null };
+  const level = mean(ys);
+
+  const recent = days.filter((d) => Date.parse(d.t) >= now - 30 * 86_400_000).map((d) => d.median);
+  const recentMean = mean(recent);
+  const sd = recent.length >= 2 ? Math.sqrt(recent.reduce((s, v) => s + (v - recentMean) ** 2, 0) / (recent.length - 1)) : null;
+
+  return {
+    ewma: {
+      value: weightSum > 0 ? Math.round(valueSum / weightSum) : null,
+      halfLifeDays: EWMA_HALF_LIFE_DAYS,
+      days: days.length,
+      thin: days.length < MIN_TREND_DAYS
+    },
+    change24hVs7d: {
+      pct: round1(pctChange(w7.avg, w24.avg)),
+      samples: { "24h": w24.cleanCount, "7d": w7.cleanCount },
+      thin: w24.cleanCount < MIN_TREND_WINDOW_SAMPLES || w7.cleanCount < MIN_TREND_WINDOW_SAMPLES
+    },
+    change7dVs30d: {
+      pct: round1(pctChange(w30.avg, w7.avg)),
+      samples: { "7d": w7.cleanCount, "30d": w30.cleanCount },
+      thin: w7.cleanCount < MIN_TREND_WINDOW_SAMPLES || w30.cleanCount < MIN_TREND_WINDOW_SAMPLES
+    },
+    slope: {
+      perDay: Number.isFinite(fit.slope) ? Math.round(fit.slope) : null,
+      pctPerDay: Number.isFinite(fit.slope) && level > 0 ? round1((fit.slope / level) * 100) : null,
+      r2: Number.isFinite(fit.r2) ? Math.round(fit.r2 * 100) / 100 : null,
+      days: days.length,
+      thin: days.length < MIN_TREND_DAYS
+    },
+    volatility: {
+      cv: sd !== null && recentMean > 0 ? Math.round((sd / recentMean) * 1000) / 1000 : null,
+      days: recent.length,
+      thin: recent.length < MIN_TREND_DAYS
+    }
+  };
+}
+
 /**
  * Split trades by quality tier and report how far apart the tiers sit.
  * A large spread means any pooled average is describing a mixture rather than a
@@ -141,7 +478,7 @@ export function qualityTiers(trades, { windowDays = 7, preNormalised = false } =
 
   const groups = new Map();
   for (const trade of normalized) {
-    const key = trade.qlt ?? "unknown";
+    const key = tierOf(trade);
     if (!groups.has(key)) groups.set(key, []);
     groups.get(key).push(trade);
   }
@@ -161,11 +498,7 @@ export function qualityTiers(trades, { windowDays = 7, preNormalised = false } =
         max: Math.round(Math.max(...vals))
       };
     })
-    .sort((a, b) => {
-      if (a.quality === "unknown") return 1;
-      if (b.quality === "unknown") return -1;
-      return a.quality - b.quality;
-    });
+    .sort((a, b) => byQuality(a.quality, b.quality));
 
   const solid = tiers.filter((t) => t.count >= 3 && t.median > 0);
   const spread = solid.length > 1
@@ -174,3 +507,44 @@ export function qualityTiers(trades, { windowDays = 7, preNormalised = false } =
 
   return { tiers, spread };
 }
+
+// Windows reaching past raw retention, combined with the rollups.
+export const LONG_WINDOWS = [30, 90, 365];
+
+const windowFields = (w) => ({
+  avg: w.avg, median: w.median, p25: w.p25, p75: w.p75, min: w.min, max: w.max,
+  count: w.count, clean: w.cleanCount, units: w.totalUnits
+});
+
+/**
+ * Everything market.json says about one item's prices, from its stored trades
+ * and rollups: the windows, the quality tiers and the trend. `w24` and `w7` are
+ * the full 24h and 7d stats, outliers included, for prices.json and the audit
+ * trail. The poller and `stalcrafter item` both build their output from this.
+ */
+export function itemSummary(trades, rollups, { key = "item", preNormalised = false } = {}) {
+  const normalized = preNormalised ? trades : normalise(trades);
+  const w24 = computeWindowStats(normalized, 1, { key, preNormalised: true });
+  const w7 = computeWindowStats(normalized, 7, { key, preNormalised: true });
+  const tiers = qualityTiers(normalized, { windowDays: 7, preNormalised: true });
+  return {
+    w24,
+    w7,
+    windows: {
+      "24h": windowFields(w24),
+      "7d": windowFields(w7),
+      ...Object.fromEntries(
+        LONG_WINDOWS.map((days) => [`${days}d`, longWindowStats(normalized, rollups, days, { preNormalised: true })])
+      )
+    },
+    quality: {
+      spread: tiers.spread,
+      tiers: tiers.tiers,
+      windows: {
+        "24h": tierWindowStats(normalized, 1, { key, preNormalised: true }),
+        "7d": tierWindowStats(normalized, 7, { key, preNormalised: true })
+      }
+    },
+    trend: trend(normalized, { preNormalised: true })
+  };
+}
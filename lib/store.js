@@ -2,65 +2,263 @@
 // Accumulates raw trades across runs.
 //
 // One poll only reaches back as far as the host will paginate, and it runs twice
-// a day. Merging each run into a committed per-item file means coverage deepens
-// over time instead of resetting, which is what makes this repo usable as a
-// price backend rather than just a snapshot.
+// a day. Merging each run into a committed per-item archive means coverage
+// deepens over time instead of resetting, which is what makes this repo usable
+// as a price backend rather than just a snapshot. The archive is kept in monthly
+// shards so a run rewrites only the months that gained or lost trades.
 
 import fs from "fs/promises";
 import path from "path";
+import { pathToFileURL } from "url";
+import { tradeKey, timeOf, mergeTrades, shardTrades, encodeShard, decodeShard, serialiseShard } from "./history_codec.js";
+import { writeFileAtomic } from "./files.js";
+import { SCHEMA_VERSION, versionOf, upgrade, stamp } from "./schema.js";
+import { dailyRollups } from "./stats.js";
+import { knownFrom } from "./source.js";
+import "./env.js";
 
 const HISTORY_DIR = process.env.HISTORY_DIR || "history";
-// Keep the repo from growing without bound. 90 days is far more than any of the
-// windows we report on.
+// Keep the repo from growing without bound. Raw trades are kept for 90 days;
+// older days survive only as daily rollups.
 const RETENTION_DAYS = Number(process.env.RETENTION_DAYS || 90);
+const DAY = 86_400_000;
 
-const keyOf = (entry) => `${entry.time}|${entry.price}|${entry.amount}`;
+/**
+ * A stored history file that cannot be read: not JSON, or not a shape any
+ * schema version describes. Names the file so the verify tool (lib/verify.js)
+ * can quarantine it.
+ */
+export class CorruptHistoryError extends Error {
+  constructor(file, reason) {
+    super(`Corrupt history file ${file}: ${reason}`);
+    this.name = "CorruptHistoryError";
+    this.file = file;
+  }
+}
 
-function fileFor(region, id) {
-  return path.join(HISTORY_DIR, region, `${id}.json`);
+/**
+ * Where an item's files live. Each item is a directory of monthly shards (see
+ * lib/history_codec.js) with an index.json manifest and a rollups.json. Before
+ * sharding, an item was one history/<region>/<id>.json of trade objects.
+ */
+export function historyPaths(region, id, { dir = HISTORY_DIR } = {}) {
+  const folder = path.join(dir, region, id);
+  return {
+    dir: folder,
+    manifest: path.join(folder, "index.json"),
+    rollups: path.join(folder, "rollups.json"),
+    legacy: path.join(dir, region, `${id}.json`),
+    shard: (month) => path.join(folder, `${month}.json`)
+  };
 }
 
-export async function loadHistory(region, id) {
+async function readText(file) {
   try {
-    const text = await fs.readFile(fileFor(region, id), "utf8");
-    const parsed = JSON.parse(text);
-    return Array.isArray(parsed?.trades) ? parsed : { region, id, trades: [] };
+    return await fs.readFile(file, "utf8");
   } catch (err) {
-    if (err.code === "ENOENT") return { region, id, trades: [] };
+    if (err.code === "ENOENT") return null;
     throw err;
   }
 }
 
+/** Parsed JSON, or null for a missing file. */
+export async function readJsonFile(file) {
+  const text = await readText(file);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new CorruptHistoryError(file, err.message);
+  }
+}
+
+/** A versioned history file brought up to the current schema. */
+async function readVersioned(file) {
+  const doc = await readJsonFile(file);
+  if (doc === null) return null;
+  try {
+    return upgrade("history", doc);
+  } catch (err) {
+    throw new CorruptHistoryError(file, err.message);
+  }
+}
+
 /**
- * Union of stored and freshly fetched trades, newest first, pruned to the
- * retention window. Returns the merged set plus how many entries were new.
+ * An item's stored trades, newest first, as `{region, id, updated, count,
+ * trades}`. Reads the sharded layout, or an item's legacy single file when it
+ * has not been migrated yet.
  */
-export async function mergeHistory(region, id, fetched) {
-  const stored = await loadHistory(region, id);
-  const seen = new Map(stored.trades.map((t) => [keyOf(t), t]));
-  let added = 0;
-
-  for (const entry of fetched ?? []) {
-    const key = keyOf(entry);
-    if (seen.has(key)) continue;
-    const record = { time: entry.time, price: entry.price, amount: entry.amount };
-    // `additional` carries the quality tier — dropping it would flatten tiers.
-    if (entry.additional && Object.keys(entry.additional).length) record.additional = entry.additional;
-    seen.set(key, record);
-    added++;
+export async function loadHistory(region, id, { dir = HISTORY_DIR } = {}) {
+  const paths = historyPaths(region, id, { dir });
+  const manifest = await readVersioned(paths.manifest);
+  if (manifest) {
+    const months = Object.keys(manifest.shards ?? {}).sort().reverse();
+    const trades = [];
+    for (const month of months) {
+      const file = paths.shard(month);
+      const shard = await readJsonFile(file);
+      if (!shard) continue;
+      try {
+        trades.push(...decodeShard(shard));
+      } catch (err) {
+        throw new CorruptHistoryError(file, err.message);
+      }
+    }
+    return { region, id, updated: manifest.updated, count: trades.length, trades };
+  }
+
+  const legacy = await readJsonFile(paths.legacy);
+  if (Array.isArray(legacy?.trades)) return { ...legacy, region, id, count: legacy.trades.length };
+  if (legacy) throw new CorruptHistoryError(paths.legacy, 'no "trades" array');
+  return { region, id, trades: [] };
+}
+
+/**
+ * Store `trades` as an item's whole history. Only shards whose content changed
+ * are written, shards left empty are removed, and the manifest is rewritten only
+ * when a shard changed or it is from an older schema. Replaces the item's legacy
+ * file if it had one.
+ */
+export async function saveHistory(region, id, trades, { dir = HISTORY_DIR } = {}) {
+  const paths = historyPaths(region, id, { dir });
+  const stored = await readJsonFile(paths.manifest);
+  const previous = stored ? upgrade("history", stored) : null;
+  const shards = shardTrades(trades);
+
+  const written = [];
+  for (const [month, monthTrades] of shards) {
+    const file = paths.shard(month);
+    const text = serialiseShard(encodeShard(month, monthTrades));
+    if ((await readText(file)) === text) continue;
+    await writeFileAtomic(file, text);
+    written.push(month);
+  }
+  const removed = Object.keys(previous?.shards ?? {}).filter((month) => !shards.has(month));
+  for (const month of removed) await fs.rm(paths.shard(month), { force: true });
+
+  let manifest = previous;
+  if (!previous || written.length || removed.length || versionOf("history", stored) < SCHEMA_VERSION.history) {
+    const months = [...shards.keys()].sort();
+    // Only the latest month can hold the newest trade. A loop rather than a
+    // spread, which would overrun the argument limit on a large shard.
+    const latest = shards.get(months.at(-1)) ?? [];
+    const newest = latest.reduce((max, trade) => Math.max(max, timeOf(trade)), -Infinity);
+    manifest = stamp("history", {
+      region,
+      id,
+      updated: new Date().toISOString(),
+      count: months.reduce((n, month) => n + shards.get(month).length, 0),
+      newest: Number.isFinite(newest) ? new Date(newest).toISOString() : null,
+      shards: Object.fromEntries(months.map((month) => [month, shards.get(month).length]))
+    });
+    await writeFileAtomic(paths.manifest, JSON.stringify(manifest, null, 2) + "\n");
   }
+  await fs.rm(paths.legacy, { force: true });
+  return { manifest, written, removed };
+}
+
+/** An item's daily rollups (see dailyRollups in lib/stats.js), oldest first. */
+export async function loadRollups(region, id, { dir = HISTORY_DIR } = {}) {
+  const stored = await readVersioned(historyPaths(region, id, { dir }).rollups);
+  return stored?.days ?? [];
+}
+
+/** Write an item's rollups, one day per line so new days append to the diff. */
+export async function saveRollups(region, id, days, { dir = HISTORY_DIR } = {}) {
+  const sorted = [...days].sort((a, b) => a.day.localeCompare(b.day));
+  const header = stamp("history", { region, id, updated: new Date().toISOString() });
+  const text = `${JSON.stringify(header).slice(0, -1)},"days":[\n${sorted.map((d) => JSON.stringify(d)).join(",\n")}\n]}\n`;
+  await writeFileAtomic(historyPaths(region, id, { dir }).rollups, text);
+}
+
+/**
+ * Fold trades leaving the raw archive into the item's rollups. A day is rolled up
+ * once, when it expires. Trades for an already rolled-up day that turn up later
+ * are not added, because the trades it was built from are gone and it could not
+ * be recomputed. Returns every rollup, oldest first, and how many days were added.
+ */
+async function rollUp(region, id, expired, { dir = HISTORY_DIR, write = true } = {}) {
+  const days = await loadRollups(region, id, { dir });
+  if (!expired.length) return { days, added: 0 };
+  const have = new Set(days.map((d) => d.day));
+  const fresh = dailyRollups(expired).filter((d) => !have.has(d.day));
+  if (!fresh.length) return { days, added: 0 };
+  const all = [...days, ...fresh].sort((a, b) => a.day.localeCompare(b.day));
+  if (write) await saveRollups(region, id, all, { dir });
+  return { days: all, added: fresh.length };
+}
+
+/**
+ * What a poll needs to know about an item's stored history (see knownFrom in
+ * lib/source.js). Null when nothing is stored, so the caller walks in full.
+ * `stored` is the item's loadHistory result when the caller already has it.
+ */
+export async function knownTrades(region, id, { stored } = {}) {
+  return knownFrom((stored ?? await loadHistory(region, id)).trades);
+}
 
-  const cutoff = Date.now() - RETENTION_DAYS * 86_400_000;
-  const trades = [...seen.values()]
-    .filter((t) => {
-      const ts = Date.parse(t.time);
-      return !Number.isFinite(ts) || ts >= cutoff;
-    })
-    .sort((a, b) => Date.parse(b.time) - Date.parse(a.time));
+/**
+ * Union of stored and freshly fetched trades, newest first, pruned to the
+ * retention window. Whole UTC days past retention are rolled up before they are
+ * dropped. Returns the merged set, the item's rollups, how many entries were new
+ * and how many days were rolled up. With `write: false` the result is the same
+ * but nothing is saved, for a dry run. `stored` is the item's loadHistory result
+ * when the caller already has it; it must not have been saved over since.
+ */
+export async function mergeHistory(region, id, fetched, { write = true, stored } = {}) {
+  stored ??= await loadHistory(region, id);
+  // A trade with no parseable time has no month to be stored under; the merge
+  // drops it.
+  const { trades: all, added } = mergeTrades(stored.trades, fetched);
+
+  // The cutoff falls on a day boundary so each day expires, and is rolled up,
+  // in one piece.
+  const cutoff = Math.floor((Date.now() - RETENTION_DAYS * DAY) / DAY) * DAY;
+  const trades = all.filter((t) => timeOf(t) >= cutoff);
+  const rollups = await rollUp(region, id, all.filter((t) => timeOf(t) < cutoff), { write });
 
-  const record = { region, id, updated: new Date().toISOString(), count: trades.length, trades };
-  await fs.mkdir(path.join(HISTORY_DIR, region), { recursive: true });
-  await fs.writeFile(fileFor(region, id), JSON.stringify(record), "utf8");
+  const updated = write ? (await saveHistory(region, id, trades)).manifest.updated : new Date().toISOString();
+  const record = { region, id, updated, count: trades.length, trades };
+  return { record, rollups: rollups.days, added, kept: trades.length, rolledUp: rollups.added };
+}
+
+/**
+ * One-time conversion of every legacy history/<region>/<id>.json to shards. An
+ * item that already has shards is merged with its legacy file, not replaced.
+ */
+export async function migrateHistory({ dir = HISTORY_DIR } = {}) {
+  const result = { items: 0, trades: 0, dropped: 0 };
+  const regions = await fs.readdir(dir, { withFileTypes: true }).catch((err) => {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  });
+
+  for (const region of regions.filter((entry) => entry.isDirectory())) {
+    const entries = await fs.readdir(path.join(dir, region.name), { withFileTypes: true });
+    for (const entry of entries.filter((e) => e.isFile() && e.name.endsWith(".json"))) {
+      const id = entry.name.slice(0, -".json".length);
+      const paths = historyPaths(region.name, id, { dir });
+      const legacy = await readJsonFile(paths.legacy);
+      const sharded = await readJsonFile(paths.manifest) ? (await loadHistory(region.name, id, { dir })).trades : [];
+
+      const merged = new Map();
+      for (const trade of [...sharded, ...(legacy?.trades ?? [])]) {
+        if (!Number.isFinite(timeOf(trade))) {
+          result.dropped++;
+          continue;
+        }
+        merged.set(tradeKey(trade), trade);
+      }
+      await saveHistory(region.name, id, [...merged.values()], { dir });
+      result.items++;
+      result.trades += merged.size;
+    }
+  }
+  return result;
+}
 
-  return { record, added, kept: trades.length };
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const { items, trades, dropped } = await migrateHistory();
+  console.log(`Migrated ${items} items (${trades} trades) in ${HISTORY_DIR}/ to monthly shards` +
+    (dropped ? `; dropped ${dropped} trades with unreadable times` : ""));
 }
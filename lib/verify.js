@@ -0,0 +1,275 @@
+// lib/verify.js
+// Checks every stored history file and, with --repair, fixes what it can.
+//
+// A run killed mid-write used to leave half a file behind, and so can a bad
+// merge from the workflow's `git pull --rebase --autostash`. Either one made an
+// item unreadable, and every later run failed on it. Writes are atomic now (see
+// lib/files.js), but the archive is committed and edited by git, so it still
+// needs checking. For each item this verifies that every file parses and is on a
+// known schema version, and that the trades are sorted newest first with no
+// duplicate `time|price|amount` keys and only parseable times. The manifest must
+// match its shards.
+//
+// Repair keeps every trade it can still read. A file that does not parse is moved
+// to quarantine/history/ for inspection, not deleted. The item is then rebuilt
+// from its remaining files, and leftover temporary files are removed.
+//
+//   npm run verify-history              # report only; exits 1 on problems
+//   npm run verify-history -- --repair
+
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { decodeShard, tradeKey, timeOf, monthOf } from "./history_codec.js";
+import { historyPaths, readJsonFile, saveHistory, saveRollups, CorruptHistoryError } from "./store.js";
+import { SCHEMA_VERSION, versionOf, upgrade } from "./schema.js";
+import { TEMP_SUFFIX } from "./files.js";
+
+const HISTORY_DIR = process.env.HISTORY_DIR || "history";
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || "quarantine";
+const SHARD_NAME = /^\d{4}-\d{2}\.json$/;
+
+/** What is wrong with a list of trades that should be newest first. */
+function tradeFaults(trades) {
+  const seen = new Set();
+  const faults = { unsorted: false, duplicates: 0, badTimes: 0 };
+  let previous = Infinity;
+  for (const trade of trades) {
+    const ts = timeOf(trade);
+    if (!Number.isFinite(ts)) {
+      faults.badTimes++;
+      continue;
+    }
+    if (ts > previous) faults.unsorted = true;
+    previous = ts;
+    const key = tradeKey(trade);
+    if (seen.has(key)) faults.duplicates++;
+    seen.add(key);
+  }
+  return faults;
+}
+
+function describeFaults({ unsorted, duplicates, badTimes }) {
+  return [
+    ...(unsorted ? ["trades are not sorted newest first"] : []),
+    ...(duplicates ? [`${duplicates} duplicate trades`] : []),
+    ...(badTimes ? [`${badTimes} trades with unparseable times`] : [])
+  ];
+}
+
+/** Problems with one shard's columns, before decoding trusts them. */
+function checkShard(shard, month) {
+  const problems = [];
+  const columns = ["t", "p", "a", ...(shard.x ? ["x"] : [])];
+  for (const column of columns) {
+    if (!Array.isArray(shard[column])) return [`column "${column}" is missing`];
+  }
+  if (columns.some((column) => shard[column].length !== shard.t.length)) problems.push("columns differ in length");
+  if (shard.count !== shard.t.length) problems.push(`count says ${shard.count}, holds ${shard.t.length}`);
+  if (shard.x?.some((x) => x >= (shard.extra?.length ?? 0))) problems.push("an `additional` index is out of range");
+  if (shard.t.slice(1).some((delta) => delta < 0)) problems.push("times go backwards");
+  return problems.concat(
+    decodeShard(shard).some((trade) => monthOf(timeOf(trade)) !== month) ? ["holds trades from another month"] : []
+  );
+}
+
+async function listDir(dir) {
+  return fs.readdir(dir, { withFileTypes: true }).catch((err) => {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  });
+}
+
+/** Every item under `dir`, as { region, id }, sharded or legacy. */
+async function listItems(dir) {
+  const items = [];
+  for (const region of (await listDir(dir)).filter((e) => e.isDirectory())) {
+    const ids = new Set();
+    for (const entry of await listDir(path.join(dir, region.name))) {
+      if (entry.isDirectory()) ids.add(entry.name);
+      else if (entry.name.endsWith(".json")) ids.add(entry.name.slice(0, -".json".length));
+    }
+    for (const id of [...ids].sort()) items.push({ region: region.name, id });
+  }
+  return items;
+}
+
+/**
+ * Read everything one item has on disk and report on it. `trades` is every
+ * trade that could still be read, for a rebuild; `rebuild` says the shards and
+ * manifest need rewriting, and `rollups` holds the days when rollups.json does.
+ */
+async function inspectItem(region, id, dir) {
+  const paths = historyPaths(region, id, { dir });
+  const result = { region, id, problems: [], unreadable: [], temps: [], trades: [], rebuild: false, rollups: null };
+  const problem = (file, text) => result.problems.push({ file, problem: text });
+
+  // A versioned history file, upgraded. Null when missing or unreadable, which
+  // is recorded here; `outdated` is left to the caller.
+  async function readVersioned(file) {
+    try {
+      const doc = await readJsonFile(file);
+      if (doc === null) return { doc: null, outdated: false };
+      const version = versionOf("history", doc);
+      const outdated = version < SCHEMA_VERSION.history;
+      if (outdated) problem(file, `schema version ${version} (current ${SCHEMA_VERSION.history})`);
+      return { doc: upgrade("history", doc), outdated };
+    } catch (err) {
+      problem(file, err instanceof CorruptHistoryError ? "does not parse" : err.message);
+      result.unreadable.push(file);
+      result.rebuild = true;
+      return { doc: null, outdated: false };
+    }
+  }
+
+  const entries = await listDir(paths.dir);
+  result.temps = entries.filter((e) => e.name.endsWith(TEMP_SUFFIX)).map((e) => path.join(paths.dir, e.name));
+  for (const file of result.temps) problem(file, "temporary file left by an interrupted write");
+
+  const { doc: manifest, outdated } = await readVersioned(paths.manifest);
+  if (outdated) result.rebuild = true;
+  const listed = Object.keys(manifest?.shards ?? {});
+  const shardFiles = entries.filter((e) => SHARD_NAME.test(e.name)).map((e) => e.name.slice(0, -".json".length)).sort();
+  if (!manifest && shardFiles.length && !result.unreadable.includes(paths.manifest)) {
+    problem(paths.manifest, "missing");
+    result.rebuild = true;
+  }
+  for (const month of listed.filter((m) => !shardFiles.includes(m))) {
+    problem(paths.manifest, `lists missing shard ${month}`);
+    result.rebuild = true;
+  }
+
+  for (const month of shardFiles) {
+    const file = paths.shard(month);
+    const { doc: shard, outdated: old } = await readVersioned(file);
+    if (!shard) continue;
+    const found = [];
+    if (manifest && !listed.includes(month)) found.push("not listed in the manifest");
+    let trades = [];
+    try {
+      found.push(...checkShard(shard, month));
+      trades = decodeShard(shard);
+    } catch (err) {
+      found.push(`does not decode: ${err.message}`);
+      result.unreadable.push(file);
+    }
+    if (manifest && listed.includes(month) && manifest.shards[month] !== trades.length) {
+      found.push(`manifest lists ${manifest.shards[month]} trades, shard holds ${trades.length}`);
+    }
+    found.forEach((text) => problem(file, text));
+    if (found.length || old) result.rebuild = true;
+    result.trades.push(...trades);
+  }
+
+  let legacy = null;
+  try {
+    legacy = await readJsonFile(paths.legacy);
+  } catch {
+    problem(paths.legacy, "does not parse");
+    result.unreadable.push(paths.legacy);
+    result.rebuild = true;
+  }
+  if (legacy && !Array.isArray(legacy.trades)) {
+    problem(paths.legacy, 'no "trades" array');
+    result.unreadable.push(paths.legacy);
+    result.rebuild = true;
+  } else if (legacy) {
+    const faults = describeFaults(tradeFaults(legacy.trades));
+    faults.forEach((text) => problem(paths.legacy, text));
+    // Shards beside a legacy file mean a migration stopped part way.
+    if (manifest) problem(paths.legacy, "left beside the sharded archive");
+    if (faults.length || manifest) result.rebuild = true;
+    result.trades.push(...legacy.trades);
+  }
+
+  // Shards are sorted and de-duplicated within themselves; check across them.
+  if (!result.rebuild) {
+    const { duplicates } = tradeFaults(result.trades);
+    if (duplicates) {
+      problem(paths.dir, `${duplicates} duplicate trades across shards`);
+      result.rebuild = true;
+    }
+  }
+
+  const { doc: rollups, outdated: oldRollups } = await readVersioned(paths.rollups);
+  if (rollups) {
+    const days = (rollups.days ?? []).map((d) => d.day);
+    const ordered = [...new Set(days)].sort();
+    const misordered = ordered.length !== days.length || ordered.some((day, i) => day !== days[i]);
+    if (misordered) problem(paths.rollups, "days are duplicated or out of order");
+    if (misordered || oldRollups) result.rollups = rollups.days ?? [];
+  }
+  return result;
+}
+
+async function quarantine(file, dir, quarantineDir) {
+  const target = path.join(quarantineDir, "history", path.relative(dir, file) + `.${Date.now()}`);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.rename(file, target);
+  return target;
+}
+
+/**
+ * Rebuild one item from whatever of it is still readable. Unparseable files are
+ * moved to quarantine first. Returns the files quarantined.
+ */
+export async function repairItem(region, id, { dir = HISTORY_DIR, quarantineDir = QUARANTINE_DIR } = {}) {
+  const found = await inspectItem(region, id, dir);
+  const quarantined = [];
+  for (const file of found.unreadable) quarantined.push(await quarantine(file, dir, quarantineDir));
+  for (const file of found.temps) await fs.rm(file, { force: true });
+
+  if (found.rebuild) {
+    const paths = historyPaths(region, id, { dir });
+    const unique = new Map();
+    for (const trade of found.trades) {
+      if (Number.isFinite(timeOf(trade))) unique.set(tradeKey(trade), trade);
+    }
+    // Start from a clean directory listing: the rebuilt manifest decides which
+    // shards exist, and anything else in the directory is stale.
+    await fs.rm(paths.manifest, { force: true });
+    const { manifest } = await saveHistory(region, id, [...unique.values()].sort((a, b) => timeOf(b) - timeOf(a)), { dir });
+    for (const entry of await listDir(paths.dir)) {
+      const month = entry.name.slice(0, -".json".length);
+      if (SHARD_NAME.test(entry.name) && !(month in manifest.shards)) await fs.rm(paths.shard(month), { force: true });
+    }
+  }
+  if (found.rollups) {
+    const byDay = new Map();
+    for (const day of found.rollups) if (!byDay.has(day.day)) byDay.set(day.day, day);
+    await saveRollups(region, id, [...byDay.values()], { dir });
+  }
+  return { problems: found.problems, quarantined };
+}
+
+/** Verify every item under `dir`, repairing those with problems when asked. */
+export async function verifyHistory({ dir = HISTORY_DIR, repair = false, quarantineDir = QUARANTINE_DIR } = {}) {
+  const report = { items: 0, ok: 0, problems: [], repaired: [], quarantined: [] };
+  for (const { region, id } of await listItems(dir)) {
+    report.items++;
+    const found = await inspectItem(region, id, dir);
+    if (!found.problems.length) {
+      report.ok++;
+      continue;
+    }
+    report.problems.push(...found.problems.map((p) => ({ region, id, ...p })));
+    if (repair) {
+      const { quarantined } = await repairItem(region, id, { dir, quarantineDir });
+      report.repaired.push(`${region}/${id}`);
+      report.quarantined.push(...quarantined);
+    }
+  }
+  return report;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const repair = process.argv.includes("--repair");
+  const report = await verifyHistory({ repair });
+  for (const { file, problem } of report.problems) console.log(`${file}: ${problem}`);
+  for (const file of report.quarantined) console.log(`quarantined ${file}`);
+  console.log(
+    `${report.items} items checked, ${report.ok} ok, ${report.items - report.ok} with problems` +
+      (repair ? `, ${report.repaired.length} repaired` : "")
+  );
+  if (report.problems.length && !repair) process.exitCode = 1;
+}
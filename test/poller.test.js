@@ -4,9 +4,14 @@ import assert from "node:assert/strict";
 import fs from "fs/promises";
 import os from "os";
 import path from "path";
+import { execFile } from "child_process";
+import { fileURLToPath, pathToFileURL } from "url";
 
-import { inspectPayload } from "../lib/source.js";
-import { computeWindowStats, qualityTiers, normalise, detectOutliers } from "../lib/stats.js";
+import { inspectPayload, crossCheckPage } from "../lib/source.js";
+import {
+  computeWindowStats, tierWindowStats, qualityTiers, normalise, detectOutliers, candles, trend
+} from "../lib/stats.js";
+import { startSimulator, parseRates } from "../lib/simulator.js";
 
 const HOUR = 3_600_000;
 const now = Date.now();
@@ -62,12 +67,81 @@ test("a collapsed total is rejected against a known total", () => {
   assert.match(verdict.reason, /collapsed/);
 });
 
+test("a price move is accepted once two copies of the page agree", async () => {
+  const { Source, knownFrom } = await import("../lib/source.js");
+  // Stored: a month at 80k. The host now has newer trades at twice that.
+  const stored = realPayload(200).prices.map((p) => ({ ...p, time: new Date(Date.parse(p.time) - 300 * HOUR).toISOString() }));
+  const moved = { total: 6306, prices: realPayload(200).prices.map((p) => ({ ...p, price: p.price * 2 })) };
+  const sourceServing = (pages) => {
+    let n = 0;
+    return new Source({
+      requestsPerMinute: 60_000,
+      stubRetries: 3,
+      fetch: async () => new Response(JSON.stringify(pages[Math.min(n++, pages.length - 1)]), { status: 200 })
+    });
+  };
+
+  const real = sourceServing([moved]);
+  const page = await real.fetchPage("aaa", 0, { known: knownFrom(stored) });
+  assert.equal(page.accepted, true);
+  assert.deepEqual([real.stats.requests, real.stats.implausiblePrices, real.stats.priceMoves], [2, 1, 1]);
+  // Once stored, the new level is the reference and the next page passes outright.
+  const next = sourceServing([moved]);
+  assert.equal((await next.fetchPage("aaa", 0, { known: knownFrom([...moved.prices, ...stored]) })).accepted, true);
+  assert.deepEqual([next.stats.requests, next.stats.priceMoves], [1, 0]);
+
+  // Made-up pages that differ on every request are never confirmed.
+  const forged = [0, 1, 2].map((k) => ({ total: 6306, prices: moved.prices.map((p) => ({ ...p, price: p.price + k * 7 })) }));
+  const fake = sourceServing(forged);
+  assert.equal((await fake.fetchPage("aaa", 0, { known: knownFrom(stored) })).accepted, false);
+  assert.deepEqual([fake.stats.implausiblePrices, fake.stats.priceMoves], [3, 0]);
+});
+
 test("an item with genuinely no trades is not treated as fake", () => {
   const verdict = inspectPayload({ total: 0, prices: [] });
   assert.equal(verdict.ok, true);
   assert.equal(verdict.empty, true);
 });
 
+test("a page is cross-checked against stored history", async () => {
+  const { tradeKey } = await import("../lib/history_codec.js");
+  const { priceReference } = await import("../lib/stats.js");
+  const storedFrom = (prices) => {
+    const keys = new Set(prices.map(tradeKey));
+    const times = prices.map((p) => Date.parse(p.time)).sort((a, b) => b - a);
+    return { newest: times[0], times, has: (p) => keys.has(tradeKey(p)), reference: priceReference(prices) };
+  };
+  const page = realPayload(50).prices;
+  const known = storedFrom(page);
+
+  assert.deepEqual(crossCheckPage(page, known), { ok: true, checked: true });
+  // Trades the archive lacks are fine; that is how gaps are filled.
+  assert.equal(crossCheckPage(page, storedFrom(page.slice(10))).ok, true);
+
+  const rewritten = page.map((p, i) => (i % 4 ? p : { ...p, price: p.price + 1 }));
+  const overlap = crossCheckPage(rewritten, known);
+  assert.equal(overlap.ok, false);
+  assert.equal(overlap.kind, "overlap");
+  assert.match(overlap.reason, /reproduces 3\d of 49 stored trades/);
+
+  // Newer than anything stored, so only the price level can give it away.
+  const forged = realPayload(50).prices.map((p) => ({ ...p, price: p.price * 3, time: new Date(Date.parse(p.time) + 100 * HOUR).toISOString() }));
+  const price = crossCheckPage(forged, known);
+  assert.equal(price.kind, "price");
+  assert.match(price.reason, /tier 0 median/);
+
+  // A backfill page from before the reference's 30 days is not priced against it:
+  // only the overlap check applies that far back.
+  const { knownFrom } = await import("../lib/source.js");
+  assert.equal(crossCheckPage(forged, knownFrom(page)).kind, "price");
+  const old = forged.map((p) => ({ ...p, time: new Date(Date.parse(p.time) - 60 * 24 * HOUR).toISOString() }));
+  assert.deepEqual(crossCheckPage(old, knownFrom(page)), { ok: true, checked: true });
+
+  // Too little stored to judge by.
+  assert.deepEqual(crossCheckPage(forged, storedFrom(page.slice(0, 2))), { ok: true, checked: true });
+  assert.deepEqual(crossCheckPage(page, null), { ok: true, checked: false });
+});
+
 /* -------------------------------------------------------- statistics */
 
 test("unit price divides the lot total by amount", () => {
@@ -111,6 +185,67 @@ test("trades outside the window are excluded", () => {
   assert.equal(computeWindowStats(trades, 7).count, 2);
 });
 
+test("candles bucket by UTC hour and day with MAD per bucket", () => {
+  const day = Date.UTC(2026, 0, 10);
+  const at = (h, m) => new Date(day + h * HOUR + m * 60_000).toISOString();
+  const trades = [
+    // 10:00 bucket, out of order on purpose; the 900 is a fat finger.
+    ...[[10, 30, 105], [10, 5, 100], [10, 50, 110], [10, 20, 102], [10, 40, 104], [10, 45, 900]].map(([h, m, p]) => ({
+      time: at(h, m), price: p, amount: 1
+    })),
+    { time: at(11, 0), price: 200, amount: 2 },
+    // The next day, at a level the previous one would have called an outlier.
+    { time: at(30, 0), price: 1000, amount: 1 }
+  ];
+
+  const hourly = candles(trades, { interval: "hour" });
+  assert.deepEqual(hourly.map((c) => c.t), [at(10, 0), at(11, 0), at(30, 0)]);
+  assert.deepEqual(
+    { open: hourly[0].open, high: hourly[0].high, low: hourly[0].low, close: hourly[0].close },
+    { open: 100, high: 110, low: 100, close: 110 }
+  );
+  assert.equal(hourly[0].trades, 5);
+  assert.equal(hourly[0].outliersRemoved, 1);
+  assert.equal(hourly[1].volume, 2);
+  assert.equal(hourly[1].avg, 100, "unit price, not lot price");
+
+  const daily = candles(trades, { interval: "day" });
+  assert.equal(daily.length, 2);
+  assert.equal(daily[1].close, 1000);
+  assert.throws(() => candles(trades, { interval: "week" }), /Unknown candle interval/);
+});
+
+test("a steadily rising price shows as an upward trend", () => {
+  // 30 days, 24 trades a day, +1% a day from 10,000.
+  const trades = [];
+  for (let d = 0; d < 30; d++) {
+    for (let h = 0; h < 24; h++) {
+      trades.push({ time: new Date(now - (d * 24 + h) * HOUR).toISOString(), price: Math.round(10_000 * 1.01 ** (29 - d)), amount: 1 });
+    }
+  }
+  const t = trend(trades);
+  assert.ok(t.slope.perDay > 100 && t.slope.perDay < 160, `slope was ${t.slope.perDay}`);
+  assert.ok(t.slope.r2 > 0.95);
+  assert.ok(t.change7dVs30d.pct > 5 && t.change7dVs30d.pct < 15, `7d vs 30d was ${t.change7dVs30d.pct}`);
+  assert.ok(t.change24hVs7d.pct > 0);
+  assert.ok(t.ewma.value > 12_500, "the EWMA leans towards recent days");
+  assert.ok(t.volatility.cv > 0.05 && t.volatility.cv < 0.15);
+  assert.equal(t.change7dVs30d.thin, false);
+  assert.deepEqual(t.change24hVs7d.samples, { "24h": 24, "7d": 168 });
+});
+
+test("a thin market's trend is flagged, not hidden", () => {
+  const t = trend([
+    { time: new Date(now - HOUR).toISOString(), price: 14_000, amount: 1 },
+    { time: new Date(now - 50 * HOUR).toISOString(), price: 10_000, amount: 1 }
+  ]);
+  assert.equal(t.change24hVs7d.pct, 16.7);
+  assert.equal(t.change24hVs7d.thin, true);
+  assert.equal(t.slope.thin, true);
+  assert.equal(t.volatility.thin, true);
+  assert.equal(trend([]).ewma.value, null);
+});
+
 /* ----------------------------------------------------- quality tiers */
 
 test("tiers are separated and the spread is measured", () => {
@@ -133,6 +268,37 @@ test("tiers are separated and the spread is measured", () => {
   assert.ok(spread > 8, `spread was ${spread}`);
 });
 
+test("outliers are found within each tier, not against the pooled mixture", () => {
+  const trade = (i, price, qlt) => ({ amount: 1, price, time: new Date(now - i * HOUR).toISOString(), additional: { qlt } });
+  const trades = [
+    ...Array.from({ length: 20 }, (_, i) => trade(i, 10_000 + (i % 4) * 100, 0)),
+    ...Array.from({ length: 6 }, (_, i) => trade(20 + i, 500_000 + i * 5_000, 3)),
+    trade(30, 9_000_000, 3)
+  ];
+
+  // Pooled MAD would throw the whole of tier 3 away.
+  const pooled = detectOutliers(normalise(trades).map((t) => t.unitPrice));
+  assert.equal(pooled.filter(Boolean).length, 7);
+
+  const w7 = computeWindowStats(trades, 7, { key: "art" });
+  assert.equal(w7.outliersRemoved, 1);
+  assert.equal(w7.outliers[0].unitPrice, 9_000_000);
+  assert.equal(w7.outliers[0].quality, 3);
+
+  const tiers = tierWindowStats(trades, 7, { key: "art" });
+  assert.deepEqual(tiers.map((t) => [t.quality, t.clean, t.outliersRemoved]), [[0, 20, 0], [3, 6, 1]]);
+  assert.ok(tiers[1].median > 500_000 && tiers[1].p75 < 600_000);
+});
+
+test("single-tier items get exactly the pooled result", () => {
+  const prices = [...Array.from({ length: 30 }, (_, i) => 10_000 + (i % 5) * 40), 90_000, 400];
+  const trades = prices.map((price, i) => ({ amount: 1, price, time: new Date(now - i * HOUR).toISOString(), additional: { qlt: 0 } }));
+  const flags = detectOutliers(prices);
+  const w7 = computeWindowStats(trades, 7);
+  assert.equal(w7.outliersRemoved, flags.filter(Boolean).length);
+  assert.equal(w7.median, Math.round(computeWindowStats(trades.filter((_, i) => !flags[i]), 7).median));
+});
+
 test("commodity items with a single tier report no spread", () => {
   const prices = Array.from({ length: 20 }, (_, i) => ({
     amount: 1,
@@ -169,6 +335,1530 @@ test("history merge dedupes and keeps the quality tier", async () => {
   const stored = second.record.trades.find((t) => t.price === 5000);
   assert.deepEqual(stored.additional, { qlt: 3 }, "additional must survive the round trip");
 
+  // A history the caller already loaded is used as it is, not read again.
+  const given = { trades: second.record.trades.slice(0, 1) };
+  const third = await mergeHistory("na", "test", [], { write: false, stored: given });
+  assert.equal(third.record.count, 1);
+
   await fs.rm(dir, { recursive: true, force: true });
   delete process.env.HISTORY_DIR;
 });
+
+test("history is stored in monthly shards and only changed shards are rewritten", async () => {
+  const { saveHistory, loadHistory } = await import("../lib/store.js");
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sx-shards-"));
+  const monthStart = Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), 1);
+  const earlier = new Date(monthStart - 3 * 86_400_000).toISOString().slice(0, 7);
+  const current = new Date(now).toISOString().slice(0, 7);
+  const trades = [
+    { time: new Date(now).toISOString().replace(/\.\d+Z$/, "Z"), price: 500, amount: 2, additional: { qlt: 1 } },
+    { time: new Date(monthStart + 1_500).toISOString(), price: 300, amount: 1, additional: { qlt: 1 } },
+    { time: new Date(monthStart - 3 * 86_400_000).toISOString().replace(".000Z", "Z"), price: 100, amount: 1 }
+  ];
+  try {
+    const first = await saveHistory("na", "itm", trades, { dir });
+    assert.deepEqual(first.written.sort(), [earlier, current].sort());
+    assert.deepEqual(first.manifest.shards, { [earlier]: 1, [current]: 2 });
+    assert.equal(first.manifest.newest, new Date(trades[0].time).toISOString());
+
+    const shard = await readJson(path.join(dir, "na", "itm", `${current}.json`));
+    assert.equal(shard.unit, 1, "a millisecond time keeps millisecond ticks");
+    assert.deepEqual(shard.extra, [{ qlt: 1 }], "identical additional objects are stored once");
+    assert.deepEqual(shard.x, [0, 0]);
+
+    const loaded = await loadHistory("na", "itm", { dir });
+    assert.deepEqual(loaded.trades, trades, "round trip keeps times, order and detail");
+
+    const again = await saveHistory("na", "itm", trades, { dir });
+    assert.deepEqual(again.written, []);
+    assert.equal(again.manifest.updated, first.manifest.updated, "an unchanged archive is not rewritten");
+
+    const older = await fs.stat(path.join(dir, "na", "itm", `${earlier}.json`));
+    process.env.HISTORY_DIR = dir;
+    const store = await import(`../lib/store.js?t=${Date.now()}`);
+    await store.mergeHistory("na", "itm", [{ time: new Date(now - 1_000).toISOString(), price: 600, amount: 1 }]);
+    assert.deepEqual(
+      (await fs.stat(path.join(dir, "na", "itm", `${earlier}.json`))).mtimeMs,
+      older.mtimeMs,
+      "a closed month is left alone"
+    );
+    assert.equal((await loadHistory("na", "itm", { dir })).count, 4);
+  } finally {
+    delete process.env.HISTORY_DIR;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("trades past retention are rolled up by day before they are dropped", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sx-rollup-"));
+  process.env.HISTORY_DIR = dir;
+  process.env.RETENTION_DAYS = "10";
+  const DAY = 24 * HOUR;
+  const dayStart = Math.floor(now / DAY) * DAY;
+  const old = dayStart - 20 * DAY;
+  const trades = [
+    ...Array.from({ length: 8 }, (_, i) => ({ time: new Date(old + i * HOUR).toISOString(), price: 100 + i, amount: 2, additional: { qlt: 0 } })),
+    { time: new Date(old + 9 * HOUR).toISOString(), price: 10_000, amount: 1, additional: { qlt: 0 } },
+    ...Array.from({ length: 3 }, (_, i) => ({ time: new Date(old + (10 + i) * HOUR).toISOString(), price: 5_000, amount: 1, additional: { qlt: 3 } })),
+    { time: new Date(now - HOUR).toISOString(), price: 120, amount: 1, additional: { qlt: 0 } }
+  ];
+  try {
+    const store = await import(`../lib/store.js?t=${Date.now()}`);
+    const merged = await store.mergeHistory("na", "rol", trades);
+    assert.equal(merged.kept, 1);
+    assert.equal(merged.rolledUp, 1);
+
+    const [day] = await store.loadRollups("na", "rol");
+    assert.equal(day.day, new Date(old).toISOString().slice(0, 10));
+    assert.equal(day.count, 12);
+    assert.equal(day.outliersRemoved, 1, "MAD runs within the tier");
+    assert.deepEqual(day.tiers.map((t) => [t.quality, t.count, t.clean]), [[0, 9, 8], [3, 3, 3]]);
+    assert.equal(day.tiers[0].units, 16);
+    assert.equal(day.tiers[0].median, 52, "per-unit: each lot was two units");
+
+    const again = await store.mergeHistory("na", "rol", [{ time: new Date(old + 30 * 60_000).toISOString(), price: 1, amount: 1 }]);
+    assert.equal(again.rolledUp, 0, "a rolled-up day is not rebuilt");
+    assert.equal((await store.loadRollups("na", "rol")).length, 1);
+
+    const { longWindowStats } = await import("../lib/stats.js");
+    const stored = await store.loadHistory("na", "rol");
+    const long = longWindowStats(stored.trades, await store.loadRollups("na", "rol"), 30, { now });
+    assert.equal(long.days, 2);
+    assert.equal(long.rollupDays, 1);
+    assert.equal(long.units, day.units + 1);
+    assert.equal(long.count, 13);
+    assert.equal(longWindowStats(stored.trades, await store.loadRollups("na", "rol"), 7, { now }).rollupDays, 0);
+  } finally {
+    delete process.env.HISTORY_DIR;
+    delete process.env.RETENTION_DAYS;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("files are versioned and older versions are upgraded on read", async () => {
+  const { upgrade, stamp, SCHEMA_VERSION } = await import("../lib/schema.js");
+  assert.deepEqual(upgrade("feed", { updated: "t" }), { schemaVersion: 1, updated: "t" });
+  assert.deepEqual(upgrade("history", { format: 1, month: "2026-08" }), { schemaVersion: 2, month: "2026-08" });
+  assert.throws(() => upgrade("history", { schemaVersion: SCHEMA_VERSION.history + 1 }), /newer than this code supports/);
+  assert.equal(Object.keys(stamp("feed", { a: 1, schemaVersion: 0 }))[0], "schemaVersion");
+
+  const { decodeShard, encodeShard } = await import("../lib/history_codec.js");
+  const { schemaVersion, ...v1 } = encodeShard("2026-08", [{ time: "2026-08-01T00:00:00Z", price: 5, amount: 1 }]);
+  assert.equal(schemaVersion, 2);
+  assert.deepEqual(decodeShard({ format: 1, ...v1 }), [{ time: "2026-08-01T00:00:00Z", price: 5, amount: 1 }]);
+});
+
+test("verify finds damaged history and repair rebuilds it from what is readable", async () => {
+  const { saveHistory, loadHistory } = await import("../lib/store.js");
+  const { verifyHistory } = await import("../lib/verify.js");
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sx-verify-"));
+  const history = path.join(dir, "history");
+  const quarantineDir = path.join(dir, "quarantine");
+  const t = (hoursAgo) => new Date(now - hoursAgo * HOUR).toISOString();
+  try {
+    await saveHistory("na", "good", [{ time: t(1), price: 10, amount: 1 }], { dir: history });
+
+    // Two months of shards, one of them then cut off mid-write.
+    const old = new Date(now - 40 * 24 * HOUR).toISOString();
+    await saveHistory("na", "cut", [{ time: t(1), price: 10, amount: 1 }, { time: old, price: 11, amount: 1 }], { dir: history });
+    const oldShard = path.join(history, "na", "cut", `${old.slice(0, 7)}.json`);
+    const text = await fs.readFile(oldShard, "utf8");
+    await fs.writeFile(oldShard, text.slice(0, 40), "utf8");
+    await fs.writeFile(path.join(history, "na", "cut", "index.json.123.0.tmp"), "{", "utf8");
+
+    // A legacy file, unsorted and with a duplicate.
+    const legacy = [{ time: t(5), price: 1, amount: 1 }, { time: t(2), price: 2, amount: 1 }, { time: t(2), price: 2, amount: 1 }];
+    await fs.writeFile(path.join(history, "na", "old.json"), JSON.stringify({ trades: legacy }), "utf8");
+
+    const report = await verifyHistory({ dir: history, quarantineDir });
+    assert.equal(report.items, 3);
+    assert.equal(report.ok, 1);
+    const problems = report.problems.map((p) => `${p.id}: ${p.problem}`);
+    assert.ok(problems.includes("cut: does not parse"));
+    assert.ok(problems.includes("cut: temporary file left by an interrupted write"));
+    assert.ok(problems.includes("old: trades are not sorted newest first"));
+    assert.ok(problems.includes("old: 1 duplicate trades"));
+
+    const repaired = await verifyHistory({ dir: history, repair: true, quarantineDir });
+    assert.deepEqual(repaired.repaired, ["na/cut", "na/old"]);
+    assert.equal(repaired.quarantined.length, 1);
+    assert.match(await fs.readFile(repaired.quarantined[0], "utf8"), /^\{/, "the damaged file is kept, not deleted");
+
+    const after = await verifyHistory({ dir: history, quarantineDir });
+    assert.deepEqual(after.problems, []);
+    assert.deepEqual((await loadHistory("na", "cut", { dir: history })).trades.map((x) => x.price), [10]);
+    assert.deepEqual((await loadHistory("na", "old", { dir: history })).trades.map((x) => x.price), [2, 1]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("legacy single-file history is read and migrated to shards", async () => {
+  const { loadHistory, migrateHistory } = await import("../lib/store.js");
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sx-migrate-"));
+  const trades = [
+    { time: new Date(now - HOUR).toISOString(), price: 700, amount: 1, additional: { qlt: 2 } },
+    { time: new Date(now - 2 * HOUR).toISOString(), price: 800, amount: 4 },
+    { time: "not a time", price: 1, amount: 1 }
+  ];
+  try {
+    await fs.mkdir(path.join(dir, "na"), { recursive: true });
+    await fs.writeFile(path.join(dir, "na", "old.json"), JSON.stringify({ region: "na", id: "old", count: 3, trades }), "utf8");
+    assert.equal((await loadHistory("na", "old", { dir })).count, 3, "unmigrated items still load");
+
+    assert.deepEqual(await migrateHistory({ dir }), { items: 1, trades: 2, dropped: 1 });
+    await assert.rejects(fs.access(path.join(dir, "na", "old.json")), "the legacy file is removed");
+    const migrated = await loadHistory("na", "old", { dir });
+    assert.deepEqual(migrated.trades.map((t) => t.price), [700, 800]);
+    assert.deepEqual(migrated.trades[0].additional, { qlt: 2 });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* ------------------------------------------------------------- feeds */
+
+test("region lists are parsed, lowercased and deduplicated", async () => {
+  const { parseRegions } = await import("../lib/feeds.js");
+  assert.deepEqual(parseRegions("na, EU,ru,na"), ["na", "eu", "ru"]);
+  assert.throws(() => parseRegions(""), /No regions/);
+  assert.throws(() => parseRegions("na,../etc"), /Invalid region/);
+});
+
+test("the feed index keeps regions from earlier runs", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sx-feeds-"));
+  process.env.FEEDS_DIR = dir;
+  const { updateFeedIndex, feedPaths } = await import(`../lib/feeds.js?t=${Date.now()}`);
+
+  await updateFeedIndex([{ region: "na", updated: "2026-01-01T00:00:00.000Z", items: 61, stale: 0 }], { defaultRegion: "na" });
+  const index = await updateFeedIndex([{ region: "eu", updated: "2026-01-02T00:00:00.000Z", items: 61, stale: 3, banned: true }]);
+
+  assert.deepEqual(Object.keys(index.regions), ["eu", "na"]);
+  assert.equal(index.defaultRegion, "na", "a run without a default must not clear it");
+  assert.equal(index.regions.na.updated, "2026-01-01T00:00:00.000Z");
+  assert.equal(index.regions.eu.banned, true);
+  assert.equal(index.regions.eu.files.prices, feedPaths("eu").prices);
+
+  const onDisk = JSON.parse(await fs.readFile(path.join(dir, "index.json"), "utf8"));
+  assert.deepEqual(onDisk, index);
+
+  await fs.rm(dir, { recursive: true, force: true });
+  delete process.env.FEEDS_DIR;
+});
+
+/* ------------------------------------------- full runs via simulator */
+
+const POLLER = fileURLToPath(new URL("../fetch_and_compute.js", import.meta.url));
+
+const CLI = fileURLToPath(new URL("../bin/stalcrafter.js", import.meta.url));
+
+/** Run fetch_and_compute.js in `cwd` against the simulator; resolves with the exit code. */
+const runPoller = (cwd, sim, env = {}) => runNode(cwd, [POLLER], sim, env);
+
+/** Run the stalcrafter CLI in `cwd`. Without a simulator any request fails. */
+const runCli = (cwd, args, sim = null, env = {}) => runNode(cwd, [CLI, ...args], sim, env);
+
+function runNode(cwd, args, sim, env) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      args,
+      {
+        cwd,
+        env: {
+          PATH: process.env.PATH,
+          STALCRAFTDB_URL: sim?.url ?? "http://127.0.0.1:9",
+          // Runs refresh the item database; nothing listens here, so that fails fast.
+          ITEM_DATABASE_URL: "http://127.0.0.1:9/listing.json",
+          REQUESTS_PER_MINUTE: "60000",
+          RATE_LIMIT_COOLDOWN: "0",
+          MAX_PAGES: "3",
+          ...env
+        },
+        timeout: 60_000
+      },
+      (err, stdout, stderr) => resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr })
+    );
+  });
+}
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, "utf8"));
+
+/** A scratch run's stored history for one item, read through the store. */
+async function readHistory(dir, id, region = "na") {
+  const { loadHistory } = await import("../lib/store.js");
+  return loadHistory(region, id, { dir: path.join(dir, "history") });
+}
+
+/** A scratch working directory holding an items.json for the given ids. */
+async function scratchRun(ids) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sx-run-"));
+  const items = ids.map((id) => ({ key: `item_${id}`, id, label: id }));
+  await fs.writeFile(path.join(dir, "items.json"), JSON.stringify({ items }), "utf8");
+  return dir;
+}
+
+// 400 trades at half-hour spacing: two pages, and the second crosses 7 days.
+const fixtureTrades = (base = 10_000) =>
+  Array.from({ length: 400 }, (_, i) => ({
+    time: new Date(now - (i * HOUR) / 2).toISOString(),
+    price: (base + (i % 7) * 10) * (1 + (i % 3)),
+    amount: 1 + (i % 3),
+    additional: { qlt: 0 }
+  }));
+
+const simOptions = (extra = {}) => ({
+  fixtures: { na: { aaa: fixtureTrades(), bbb: fixtureTrades(50_000) }, eu: { aaa: fixtureTrades(20_000) } },
+  shiftToNow: false,
+  limit: 10_000,
+  windowSeconds: 1,
+  ...extra
+});
+
+test("simulator rates parse and reject unknown outcomes", () => {
+  assert.deepEqual(parseRates("stub:0.3, 429:0.05"), { stub: 0.3, 429: 0.05 });
+  assert.throws(() => parseRates("teapot:1"), /Unknown simulator outcome/);
+});
+
+test("a clean run through the simulator publishes prices and history", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    const { code } = await runPoller(dir, sim);
+    assert.equal(code, 0);
+
+    const prices = await readJson(path.join(dir, "prices.json"));
+    assert.ok(prices.prices.item_aaa.avg7d > 10_000 && prices.prices.item_aaa.avg7d < 10_100);
+    assert.ok(prices.prices.item_bbb.avg7d > 50_000);
+
+    const history = await readHistory(dir, "aaa");
+    assert.equal(history.count, 400, "both pages are merged");
+
+    const series = await readJson(path.join(dir, "candles", "na", "aaa.json"));
+    assert.equal(series.key, "item_aaa");
+    assert.ok(series.daily.length >= 8 && series.daily.length <= 10);
+    assert.ok(series.hourly.length >= 7 * 24 && series.hourly.length <= 7 * 24 + 2);
+    assert.equal(series.daily.reduce((n, c) => n + c.trades + c.outliersRemoved, 0), 400);
+
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.source.host, new URL(sim.url).host);
+    assert.equal(market.source.requests, 4);
+    assert.equal(market.source.stubsRejected, 0);
+    assert.equal(market.items.item_aaa.trend.slope.days, series.daily.length);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("stubs, shuffled and collapsed pages are retried and never merged", async () => {
+  const sim = await startSimulator(simOptions({ schedule: ["stub", "shuffle", "ok", "ok", "collapse", "ok", "ok"] }));
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    // A known total is what makes the collapsed page detectable.
+    await fs.writeFile(
+      path.join(dir, "market.json"),
+      JSON.stringify({ items: { item_bbb: { reportedTotal: 400 } } }),
+      "utf8"
+    );
+    const { code } = await runPoller(dir, sim);
+    assert.equal(code, 0);
+
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.source.stubsRejected, 3);
+    assert.equal(market.items.item_aaa.acceptedPages, 2);
+    const history = await readHistory(dir, "aaa");
+    assert.ok(history.trades.every((t) => t.price < 500_000), "no stub entries in history");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("rejected pages are kept in quarantine and replayed against the current validator", async () => {
+  const sim = await startSimulator(simOptions({ schedule: ["stub", "ok", "ok"] }));
+  const dir = await scratchRun(["aaa"]);
+  const payloads = path.join(dir, "quarantine", "payloads");
+  try {
+    assert.equal((await runPoller(dir, sim, { QUARANTINE_SAMPLE_EVERY: "1" })).code, 0);
+
+    const rejected = await fs.readdir(path.join(payloads, "rejected"));
+    assert.equal(rejected.length, 1);
+    const record = await readJson(path.join(payloads, "rejected", rejected[0]));
+    assert.match(record.url, /\/api\/items\/aaa\/auction-history\?region=na&page=0$/);
+    assert.equal(record.attempt, 1);
+    assert.equal(record.status, 200);
+    assert.match(record.headers["content-type"], /json/);
+    assert.deepEqual(record.verdict, { ok: false, reason: "timestamps not in descending order", check: "inspect" });
+    assert.equal(record.payload.prices.length, 5);
+    const accepted = (await fs.readdir(path.join(payloads, "accepted"))).sort();
+    assert.equal(accepted.length, 2);
+
+    let { code, stdout } = await runCli(dir, ["replay", "--json"]);
+    assert.equal(code, 0);
+    let report = JSON.parse(stdout);
+    assert.equal(report.rejected, 1);
+    assert.equal(report.accepted, 2);
+    assert.deepEqual(report.reasons, { "timestamps not in descending order": 1 });
+    assert.deepEqual([report.falseNegatives.length, report.falsePositives.length], [0, 0]);
+
+    // An accepted page the validator would now turn away is a false-positive candidate.
+    const sample = path.join(payloads, "accepted", accepted[0]);
+    const kept = await readJson(sample);
+    kept.payload.prices.reverse();
+    await fs.writeFile(sample, JSON.stringify(kept), "utf8");
+    ({ code, stdout } = await runCli(dir, ["replay"]));
+    assert.equal(code, 0);
+    assert.match(stdout, /False-positive candidates .*: 1\n.*page=0\n\s+was: accepted\n\s+now: timestamps not in descending order/);
+
+    // Over the size cap, the oldest files go first.
+    assert.equal((await runPoller(dir, sim, { QUARANTINE_SAMPLE_EVERY: "1", QUARANTINE_MAX_BYTES: "1" })).code, 0);
+    const after = await fs.readdir(path.join(payloads, "accepted"));
+    assert.equal(after.length, 1);
+    assert.ok(!accepted.includes(after[0]));
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a 429 is waited out and counted", async () => {
+  const sim = await startSimulator(simOptions({ schedule: ["429", "ok", "ok"] }));
+  const dir = await scratchRun(["aaa"]);
+  try {
+    const { code } = await runPoller(dir, sim);
+    assert.equal(code, 0);
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.source.rateLimitHits, 1);
+    assert.ok(market.items.item_aaa.windows["7d"].avg);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a 420 aborts every region, carries prices forward and fails the run", async () => {
+  const sim = await startSimulator(simOptions({ schedule: ["ok", "ok", "420"] }));
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    await fs.writeFile(
+      path.join(dir, "prices.json"),
+      JSON.stringify({ prices: { item_bbb: { id: "bbb", avg24h: 1, avg7d: 2 } } }),
+      "utf8"
+    );
+    const { code } = await runPoller(dir, sim, { REGIONS: "na,eu" });
+    assert.equal(code, 1);
+    assert.equal(sim.stats.requests, 3, "nothing is requested after the ban");
+
+    const prices = await readJson(path.join(dir, "prices.json"));
+    assert.ok(prices.prices.item_aaa.avg7d, "items before the ban are published");
+    assert.equal(prices.prices.item_bbb.stale, true);
+    assert.equal(prices.prices.item_bbb.avg7d, 2);
+
+    const index = await readJson(path.join(dir, "feeds", "index.json"));
+    assert.deepEqual(Object.keys(index.regions), ["eu", "na"]);
+    assert.equal(index.regions.eu.banned, true);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("each region is polled into its own feed", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  try {
+    const { code } = await runPoller(dir, sim, { REGIONS: "na,eu" });
+    assert.equal(code, 0);
+    const na = await readJson(path.join(dir, "feeds", "na", "prices.json"));
+    const eu = await readJson(path.join(dir, "feeds", "eu", "prices.json"));
+    assert.ok(na.prices.item_aaa.avg7d < 11_000);
+    assert.ok(eu.prices.item_aaa.avg7d > 20_000);
+    assert.ok(sim.stats.paths.some((p) => p.includes("region=eu")));
+
+    const root = await readJson(path.join(dir, "prices.json"));
+    assert.equal(root.region, "na", "the root feed belongs to the default region");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a forged page that looks real is caught by the cross-check and retried", async () => {
+  // Two clean pages, then a forged first page on the second run.
+  const sim = await startSimulator(simOptions({ schedule: ["ok", "ok", "forge"] }));
+  const dir = await scratchRun(["aaa"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    let market = await readJson(path.join(dir, "market.json"));
+    assert.deepEqual(market.source.crossCheck, { checked: 0, rejected: 0, overlapMismatches: 0, implausiblePrices: 0, priceMoves: 0, hitRate: null });
+
+    const { code, stdout } = await runPoller(dir, sim);
+    assert.equal(code, 0);
+    assert.match(stdout, /1 pages rejected by the history cross-check/);
+    market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.source.crossCheck.rejected, 1);
+    assert.equal(market.source.crossCheck.overlapMismatches, 1);
+    assert.ok(market.source.crossCheck.hitRate > 0);
+    assert.equal(market.source.stubsRejected, 0);
+
+    const history = await readHistory(dir, "aaa");
+    assert.equal(history.count, 400);
+    assert.ok(history.trades.every((t) => t.price < 60_000), "no forged prices in history");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("CROSS_CHECK=0 lets a forged page through", async () => {
+  const sim = await startSimulator(simOptions({ schedule: ["ok", "ok", "forge"] }));
+  const dir = await scratchRun(["aaa"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    assert.equal((await runPoller(dir, sim, { CROSS_CHECK: "0" })).code, 0);
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.source.crossCheck.checked, 0);
+    assert.ok((await readHistory(dir, "aaa")).trades.some((t) => t.price >= 60_000));
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* ----------------------------------------------- incremental walks */
+
+test("a second run stops once it reaches stored history", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    assert.equal(sim.stats.requests, 4);
+
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    assert.equal(sim.stats.requests, 6, "one page per item on the second run");
+
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.source.requests, 2);
+    assert.equal(market.source.incremental.requestsSaved, 2);
+    assert.deepEqual(market.source.incremental.items.item_aaa, { pages: 1, stop: "overlap", requestsSaved: 1, overlap: "confirmed" });
+    assert.ok(market.items.item_aaa.windows["7d"].count >= 300, "stats still cover the stored window");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a gap in stored history forces a full walk", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+
+    // Drop a trade the next page 0 will contain, as a bad merge might.
+    const { saveHistory } = await import("../lib/store.js");
+    const stored = await readHistory(dir, "aaa");
+    stored.trades.splice(20, 1);
+    await saveHistory("na", "aaa", stored.trades, { dir: path.join(dir, "history") });
+
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.source.incremental.items.item_aaa.overlap, "failed");
+    assert.equal(market.source.incremental.items.item_aaa.stop, "cutoff");
+    assert.equal(market.source.incremental.overlapFailures, 1);
+    assert.equal((await readHistory(dir, "aaa")).count, 400, "the gap is filled again");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a run repairs a history file it cannot parse instead of failing on it", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    await fs.writeFile(path.join(dir, "history", "na", "aaa", "index.json"), '{"schemaVersion": 2, "shar', "utf8");
+
+    const { code, stderr } = await runPoller(dir, sim);
+    assert.equal(code, 0);
+    assert.match(stderr, /Corrupt history file .*index\.json.*repaired/);
+    assert.equal((await readHistory(dir, "aaa")).count, 400, "shards survive a lost manifest");
+    assert.equal((await fs.readdir(path.join(dir, "quarantine", "history", "na", "aaa"))).length, 1);
+
+    const prices = await readJson(path.join(dir, "prices.json"));
+    assert.equal(prices.schemaVersion, 1);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("INCREMENTAL=0 walks in full every time", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    assert.equal((await runPoller(dir, sim, { INCREMENTAL: "0" })).code, 0);
+    assert.equal(sim.stats.requests, 4);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* ---------------------------------------------------------- schedule */
+
+test("busy, stale and long-unpolled items outrank quiet fresh ones", async () => {
+  const { signalsFor, planRun } = await import("../lib/schedule.js");
+  const polledAt = new Date(now - 12 * HOUR).toISOString();
+  const busyTimes = Array.from({ length: 5000 }, (_, i) => now - i * (HOUR / 60));
+  const quietTimes = [now - 30 * HOUR, now - 100 * HOUR];
+
+  const signals = {
+    quiet: signalsFor({ times: quietTimes, previous: { lastPolled: polledAt }, now }),
+    busy: signalsFor({ times: busyTimes, previous: { lastPolled: polledAt }, now }),
+    stale: signalsFor({
+      times: quietTimes,
+      previous: { lastPolled: polledAt, stale: true, staleSince: new Date(now - 240 * HOUR).toISOString() },
+      now
+    }),
+    fresh: signalsFor({ times: [], previous: null, now })
+  };
+  const items = ["quiet", "busy", "stale", "fresh"].map((key) => ({ key, id: key }));
+  const { plan } = planRun(items, signals, { maxPages: 10 });
+
+  assert.deepEqual(plan.map((p) => p.key), ["fresh", "stale", "busy", "quiet"]);
+  assert.equal(plan[0].reason, "never polled");
+  assert.equal(plan[0].pages, 10, "an unknown item gets the full allowance");
+  assert.match(plan[1].reason, /stale 240h/);
+  assert.equal(plan.find((p) => p.key === "quiet").pages, 1);
+  assert.ok(plan.find((p) => p.key === "busy").pages > 1, "~350 expected trades need more than one page");
+});
+
+test("the budget defers the lowest priorities but lets cheap items fill in", async () => {
+  const { planRun } = await import("../lib/schedule.js");
+  const items = ["a", "b", "c"].map((key) => ({ key, id: key }));
+  const signals = {
+    a: { tradesPerDay: 0, staleHours: 0, hoursSincePolled: null },
+    b: { tradesPerDay: 2000, staleHours: 0, hoursSincePolled: 24 },
+    c: { tradesPerDay: 1, staleHours: 0, hoursSincePolled: 24 }
+  };
+  const schedule = planRun(items, signals, { budget: 12, maxPages: 10 });
+  assert.deepEqual(
+    schedule.plan.map((p) => [p.key, p.selected]),
+    [["a", true], ["b", false], ["c", true]]
+  );
+  assert.equal(schedule.plannedRequests, 11);
+  assert.match(schedule.plan[1].reason, /deferred, over budget/);
+});
+
+test("a run publishes its plan and carries deferred items forward without marking them stale", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    const first = await readJson(path.join(dir, "market.json"));
+    assert.deepEqual(first.schedule.plan.map((p) => p.reason), ["never polled", "never polled"]);
+    assert.ok(first.items.item_aaa.lastPolled);
+
+    // One request for the whole run: only the first planned item fits.
+    assert.equal((await runPoller(dir, sim, { REQUEST_BUDGET: "1" })).code, 0);
+    const second = await readJson(path.join(dir, "market.json"));
+    const [polled, deferred] = second.schedule.plan;
+    assert.equal(polled.polled, true);
+    assert.equal(deferred.selected, false);
+    assert.equal(deferred.polled, false);
+    assert.equal(second.items[deferred.key].note, "deferred by the schedule");
+    assert.equal(second.items[deferred.key].lastPolled, first.items[deferred.key].lastPolled);
+    assert.equal(second.items[deferred.key].deferred, true);
+    assert.equal(second.items[deferred.key].stale, undefined, "deferring an item does not make it stale");
+    assert.deepEqual([second.source.deferred, second.source.carriedForward], [1, 0]);
+
+    const prices = await readJson(path.join(dir, "prices.json"));
+    assert.equal(prices.prices[deferred.key].deferred, true);
+    assert.equal(prices.prices[deferred.key].stale, undefined);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* -------------------------------------------------------- checkpoint */
+
+test("a banned run leaves a checkpoint and the next run resumes from it", async () => {
+  const sim = await startSimulator(simOptions({ schedule: ["ok", "ok", "420"] }));
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 1);
+    const checkpoint = await readJson(path.join(dir, "checkpoint.json"));
+    assert.equal(checkpoint.stoppedBy, "ban");
+    assert.deepEqual(checkpoint.regions.na, { completed: ["item_aaa"], pending: ["item_bbb"] });
+    assert.deepEqual(checkpoint.stoppedAt, { region: "na", key: "item_bbb" });
+
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.schedule.plan[0].key, "item_bbb");
+    assert.match(market.schedule.plan[0].reason, /^unfinished last run/);
+    assert.ok(market.items.item_bbb.windows, "the resumed item is polled");
+
+    const after = await readJson(path.join(dir, "checkpoint.json"));
+    assert.equal(after.stoppedBy, null);
+    assert.deepEqual(after.regions.na.pending, []);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("the run time limit stops before the next item and checkpoints", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    const { code } = await runPoller(dir, sim, { RUN_TIME_LIMIT_MINUTES: "0.000001" });
+    assert.equal(code, 0, "running out of time is not a failure");
+    assert.equal(sim.stats.requests, 0);
+
+    const checkpoint = await readJson(path.join(dir, "checkpoint.json"));
+    assert.equal(checkpoint.stoppedBy, "timeout");
+    assert.deepEqual(checkpoint.regions.na.pending, ["item_aaa", "item_bbb"]);
+    assert.ok(checkpoint.finished);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("run() times itself from its own start and leaves no signal handlers or interrupt behind", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  const script = path.join(dir, "twice.mjs");
+  await fs.writeFile(
+    script,
+    `import { run } from ${JSON.stringify(pathToFileURL(POLLER).href)};
+const listeners = () => process.listenerCount("SIGINT") + process.listenerCount("SIGTERM");
+const before = listeners();
+// Past the time limit counted from import; each run's own limit starts with it.
+await new Promise((resolve) => setTimeout(resolve, 3_500));
+const first = run({ dryRun: true });
+// Interrupt the first run as soon as it is listening.
+const poke = setInterval(() => { if (listeners() > before) { clearInterval(poke); process.emit("SIGINT", "SIGINT"); } }, 1);
+const a = await first;
+const b = await run({ dryRun: true });
+console.log(JSON.stringify({ before, after: listeners(), first: a.results[0].stoppedBy, second: b.results[0].stoppedBy }));
+`,
+    "utf8"
+  );
+  try {
+    const { code, stdout } = await runNode(dir, [script], sim, { RUN_TIME_LIMIT_MINUTES: "0.05" });
+    assert.equal(code, 0);
+    const report = JSON.parse(stdout.trim().split("\n").at(-1));
+    assert.equal(report.after, report.before, "no handlers left behind");
+    assert.equal(report.first, "signal");
+    assert.equal(report.second, null, "the next run inherits neither the interrupt nor a spent time limit");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* --------------------------------------------------------------- cli */
+
+test("add-item validates an entry before appending it to items.json", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sx-items-"));
+  const file = path.join(dir, "items.json");
+  await fs.writeFile(file, JSON.stringify({ _comment: "kept", items: [{ key: "std_spare", id: "l0og1" }] }), "utf8");
+  try {
+    const { addItem, loadItems } = await import("../lib/items.js");
+    const entry = await addItem({ id: "y3nmw", label: "Advanced spare", divisor: 800 }, { file });
+    assert.deepEqual(entry, { key: "advanced_spare", id: "y3nmw", label: "Advanced spare", divisor: 800 });
+
+    await assert.rejects(addItem({ id: "l0og1", key: "other" }, { file }), /already tracked as std_spare/);
+    await assert.rejects(addItem({ id: "zzzzz", key: "std_spare" }, { file }), /key std_spare is already in use/);
+    await assert.rejects(addItem({ id: "../x", key: "x" }, { file }), /not a stalcraftdb item id/);
+    await assert.rejects(addItem({ id: "abcd", divisor: Number("two") }, { file }), /divisor must be a positive number/);
+
+    assert.deepEqual((await loadItems({ file })).map((i) => i.key), ["std_spare", "advanced_spare"]);
+    assert.equal((await readJson(file))._comment, "kept");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("poll --dry-run fetches and reports but writes nothing", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    const { code, stdout } = await runCli(dir, ["poll", "--only", "aaa", "--dry-run"], sim);
+    assert.equal(code, 0);
+    assert.match(stdout, /item_aaa: 24h \d+, 7d \d+/);
+    assert.doesNotMatch(stdout, /item_bbb/);
+    assert.ok(sim.stats.requests > 0);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ["items.json"]);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("poll --only refreshes those items and leaves the rest as published", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    const before = await readJson(path.join(dir, "prices.json"));
+    const checkpoint = await fs.readFile(path.join(dir, "checkpoint.json"), "utf8");
+
+    assert.equal((await runCli(dir, ["poll", "--only", "item_bbb", "--region", "na"], sim)).code, 0);
+    const after = await readJson(path.join(dir, "prices.json"));
+    assert.deepEqual(after.prices.item_aaa, before.prices.item_aaa, "untouched, not marked stale");
+    assert.equal(after.prices.item_bbb.stale, undefined);
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.deepEqual(market.schedule.plan.map((p) => p.key), ["item_bbb"]);
+    assert.equal(await fs.readFile(path.join(dir, "checkpoint.json"), "utf8"), checkpoint);
+
+    assert.notEqual((await runCli(dir, ["poll", "--only", "nope"], sim)).code, 0);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("item and export read stored history without the network", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    const market = await readJson(path.join(dir, "market.json"));
+    await sim.close();
+
+    const shown = await runCli(dir, ["item", "item_aaa", "--json"]);
+    assert.equal(shown.code, 0);
+    const report = JSON.parse(shown.stdout);
+    assert.equal(report.storedTrades, 400);
+    assert.deepEqual(report.windows["7d"], market.items.item_aaa.windows["7d"]);
+    assert.deepEqual(Object.keys(report.windows), ["24h", "7d", "30d", "90d", "365d"]);
+    assert.ok(Array.isArray(report.outliers));
+
+    const text = await runCli(dir, ["item", "aaa"]);
+    assert.match(text.stdout, /^Windows \(per unit\)$/m);
+    assert.match(text.stdout, /^Recent outliers, 7d/m);
+
+    const csv = await runCli(dir, ["export", "item_aaa", "--format", "csv"]);
+    const rows = csv.stdout.trim().split("\n");
+    assert.equal(rows[0], "region,key,id,time,price,amount,quality");
+    assert.equal(rows.length, 401);
+
+    assert.equal((await runCli(dir, ["export", "--out", "dump.json"])).code, 0);
+    const dump = await readJson(path.join(dir, "dump.json"));
+    assert.deepEqual(dump.items.map((i) => [i.key, i.trades.length]), [["item_aaa", 400], ["item_bbb", 400]]);
+
+    assert.equal((await runCli(dir, ["item"])).code, 2);
+    assert.equal((await runCli(dir, ["frobnicate"])).code, 2);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* ------------------------------------------------------------- items */
+
+test("items.json is checked before a run and every problem is listed", async () => {
+  const { checkItems } = await import("../lib/items.js");
+  const problems = checkItems({
+    items: [
+      { key: "adv_spare", id: "y3nmw" },
+      { key: "adv_spare", id: "l0og1", divisor: "800" },
+      { key: "other", id: "y3nmw", lable: "typo" },
+      { key: "Bad Key", id: "no/id" }
+    ]
+  });
+  assert.deepEqual(problems, [
+    "items[1] (adv_spare): divisor must be a positive number, not 800",
+    "items[1] (adv_spare): key adv_spare is also used by items[0]",
+    "items[2] (other): unknown field lable",
+    "items[2] (other): id y3nmw is also used by items[0]",
+    'items[3] (Bad Key): id "no/id" is not a stalcraftdb item id',
+    'items[3] (Bad Key): key "Bad Key" must be lowercase letters, digits and underscores'
+  ]);
+  assert.deepEqual(checkItems({ items: [] }), ["no items defined"]);
+
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  try {
+    await fs.writeFile(path.join(dir, "items.json"), JSON.stringify([{ key: "a", id: "aaa" }, { key: "a", id: "bbb" }]));
+    const { code, stderr } = await runPoller(dir, sim);
+    assert.equal(code, 1);
+    assert.match(stderr, /items\.json is invalid:\n {2}items\[1\] \(a\): key a is also used by items\[0\]/);
+    assert.equal(sim.stats.requests, 0, "nothing is polled");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+const listing = [
+  { data: "/items/weapon/pistol/aaa.json", name: { type: "translation", key: "item.aaa", lines: { ru: "Альфа", en: "Alpha" } } },
+  { data: "/items/artefact/thermal/bbb.json", name: { type: "translation", key: "item.bbb", lines: { en: "Bravo" } } },
+  { data: "/icons/not-an-item.png" }
+];
+
+test("enrich fills labels and categories from the item database and reports unknown ids", async () => {
+  const { parseListing } = await import("../lib/item_db.js");
+  assert.deepEqual(parseListing(listing), {
+    aaa: { name: "Alpha", category: "weapon/pistol" },
+    bbb: { name: "Bravo", category: "artefact/thermal" }
+  });
+
+  const sim = await startSimulator(simOptions({ listing }));
+  const dir = await scratchRun([]);
+  const env = { ITEM_DATABASE_URL: `${sim.url}/listing.json` };
+  try {
+    const items = [{ key: "item_aaa", id: "aaa" }, { key: "item_zzz", id: "zzz", label: "Kept" }];
+    await fs.writeFile(path.join(dir, "items.json"), JSON.stringify({ items }));
+    const { code, stdout } = await runCli(dir, ["enrich"], sim, env);
+    assert.equal(code, 1, "an unknown id fails the check");
+    assert.match(stdout, /Not in the item database \(typos\?\): item_zzz \(zzz\)/);
+    const enriched = (await readJson(path.join(dir, "items.json"))).items;
+    assert.deepEqual(enriched[0], { key: "item_aaa", id: "aaa", label: "Alpha", category: "weapon/pistol" });
+    assert.deepEqual(enriched[1], items[1]);
+    assert.equal(Object.keys((await readJson(path.join(dir, "names_cache.json"))).items).length, 2);
+
+    // add-item takes its name and category from the (now cached) database.
+    assert.equal((await runCli(dir, ["add-item", "bbb"], null, env)).code, 0);
+    const added = (await readJson(path.join(dir, "items.json"))).items[2];
+    assert.deepEqual(added, { key: "bravo", id: "bbb", label: "Bravo", category: "artefact/thermal" });
+    assert.equal((await runCli(dir, ["add-item", "yyyy"], null, env)).code, 1);
+
+    // A run warns about unknown ids from the cache without fetching anything.
+    const run = await runPoller(dir, sim, { ...env, ITEM_DATABASE_URL: "http://127.0.0.1:9/listing.json" });
+    assert.match(run.stderr, /Not in the item database \(typos\?\): item_zzz \(zzz\)/);
+
+    // Without a cache, a run fetches the database and leaves one behind.
+    await fs.rm(path.join(dir, "names_cache.json"));
+    const fresh = await runPoller(dir, sim, env);
+    assert.equal(fresh.code, 0);
+    assert.match(fresh.stderr, /Not in the item database \(typos\?\): item_zzz \(zzz\)/);
+    assert.equal(Object.keys((await readJson(path.join(dir, "names_cache.json"))).items).length, 2);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("an id that keeps returning no trades is flagged, skipped and rechecked", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "zzz"]);
+  const polls = () => sim.stats.paths.filter((p) => p.includes("/zzz/")).length;
+  try {
+    const env = { UNTRADEABLE_AFTER: "2" };
+    assert.equal((await runPoller(dir, sim, env)).code, 0);
+    assert.equal((await readJson(path.join(dir, "untradeable_ids.json"))).regions.na.zzz.zeroRuns, 1);
+    assert.equal((await runPoller(dir, sim, env)).code, 0);
+    assert.equal((await readJson(path.join(dir, "untradeable_ids.json"))).regions.na.zzz.flagged, true);
+
+    const before = polls();
+    assert.equal((await runPoller(dir, sim, env)).code, 0);
+    assert.equal(polls(), before, "a flagged id is not requested");
+    const market = await readJson(path.join(dir, "market.json"));
+    assert.equal(market.items.item_zzz.untradeable, true);
+    assert.match(market.items.item_zzz.note, /^no trades in 2 polls in a row; rechecked after/);
+    assert.equal(market.source.untradeable, 1);
+    assert.ok(market.items.item_aaa.windows, "other items are polled as usual");
+
+    assert.equal((await runPoller(dir, sim, { ...env, UNTRADEABLE_RECHECK_DAYS: "0" })).code, 0);
+    assert.equal(polls(), before + 1, "rechecked once due");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* ---------------------------------------------------------- backfill */
+
+// 300 trades at 12-hour spacing: 150 days, six 50-trade pages.
+const backfillTrades = () =>
+  Array.from({ length: 300 }, (_, i) => ({
+    time: new Date(now - i * 12 * HOUR).toISOString(),
+    price: 1_000 + (i % 5) * 10,
+    amount: 1,
+    additional: { qlt: 0 }
+  }));
+
+test("a backfill walks back to its target across runs and rolls up whole days", async () => {
+  const trades = backfillTrades();
+  const sim = await startSimulator(simOptions({ fixtures: { na: { ccc: trades } }, pageSize: 50 }));
+  const dir = await scratchRun(["ccc"]);
+  const since = new Date(now - 120 * 24 * HOUR).toISOString().slice(0, 10);
+  try {
+    // Two pages now, two more after the next scheduled poll, the rest after that.
+    const first = await runCli(dir, ["backfill", "item_ccc", "--since", since], sim, { BACKFILL_REQUESTS: "2" });
+    assert.equal(first.code, 0);
+    let job = (await readJson(path.join(dir, "backfill.json"))).jobs[0];
+    assert.equal(job.nextPage, 2);
+    assert.equal(job.finished, null);
+    assert.equal(job.stop, "budget");
+
+    assert.equal((await runPoller(dir, sim, { BACKFILL_REQUESTS: "2" })).code, 0);
+    job = (await readJson(path.join(dir, "backfill.json"))).jobs[0];
+    assert.equal(job.nextPage, 4, "no new trades arrived, so the job resumes on the page it reached");
+
+    assert.equal((await runCli(dir, ["backfill"], sim)).code, 0);
+    job = (await readJson(path.join(dir, "backfill.json"))).jobs[0];
+    assert.equal(job.stop, "target");
+    assert.ok(job.finished);
+    assert.deepEqual(job.pending, []);
+
+    // Raw trades inside retention, daily rollups beyond it, and every rolled-up
+    // day but the oldest (the walk stopped part way through it) is complete.
+    const cutoff = Math.floor((now - 90 * 24 * HOUR) / (24 * HOUR)) * 24 * HOUR;
+    const history = await readHistory(dir, "ccc");
+    assert.equal(history.count, trades.filter((t) => Date.parse(t.time) >= cutoff).length);
+    const { loadRollups } = await import("../lib/store.js");
+    const days = await loadRollups("na", "ccc", { dir: path.join(dir, "history") });
+    assert.ok(days.length >= 30);
+    const perDay = new Map();
+    for (const t of trades) perDay.set(t.time.slice(0, 10), (perDay.get(t.time.slice(0, 10)) ?? 0) + 1);
+    for (const day of days.slice(1)) assert.equal(day.count, perDay.get(day.day), day.day);
+
+    const status = await runCli(dir, ["backfill", "--status"]);
+    assert.match(status.stdout, /na\/item_ccc .* done \(target\)/);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a backfill only spends what the poll leaves of the request budget", async () => {
+  const sim = await startSimulator(simOptions({ fixtures: { na: { ccc: backfillTrades() } }, pageSize: 50 }));
+  const dir = await scratchRun(["ccc"]);
+  try {
+    assert.equal((await runCli(dir, ["backfill", "ccc", "--queue"])).code, 0);
+    // A one-page plan fits the budget exactly.
+    assert.equal((await runPoller(dir, sim, { REQUEST_BUDGET: "1", MAX_PAGES: "1" })).code, 0);
+    assert.equal(sim.stats.requests, 1, "the poll's one request, none for the backfill");
+    const [job] = (await readJson(path.join(dir, "backfill.json"))).jobs;
+    assert.equal(job.nextPage, 0);
+
+    assert.equal((await runPoller(dir, sim, { REQUEST_BUDGET: "3" })).code, 0);
+    const [after] = (await readJson(path.join(dir, "backfill.json"))).jobs;
+    assert.equal(after.nextPage, 2, "two requests left over after the poll's one");
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* --------------------------------------------------------------- api */
+
+test("the API serves prices, history and outliers from the archive without the network", async () => {
+  const { startApiServer } = await import("../lib/api_server.js");
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  let api = null;
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    const requests = sim.stats.requests;
+    api = await startApiServer({ root: dir, port: 0 });
+    const get = (url, headers = {}) => fetch(`${api.url}${url}`, { headers });
+
+    let resp = await get("/api/items");
+    assert.equal(resp.status, 200);
+    assert.equal(resp.headers.get("access-control-allow-origin"), "*");
+    const listing = await resp.json();
+    assert.deepEqual(listing.regions, ["na"]);
+    assert.deepEqual(listing.items.map((i) => i.key), ["item_aaa", "item_bbb"]);
+    assert.ok(listing.items[0].avg7d > 10_000);
+
+    // Conditional requests: same ETag, 304 and no body.
+    resp = await get("/api/items/item_aaa/prices?window=36h,10d,1w,200d");
+    const etag = resp.headers.get("etag");
+    const prices = await resp.json();
+    assert.equal(prices.id, "aaa");
+    assert.equal(prices.windows["36h"].days, 1.5);
+    assert.equal(prices.windows["36h"].count, 72);
+    assert.equal(prices.windows["1w"].from, "trades");
+    assert.equal(prices.windows["1w"].tiers[0].quality, 0);
+    assert.equal(prices.windows["200d"].from, "rollups");
+    resp = await get("/api/items/aaa/prices?window=36h,10d,1w,200d", { "If-None-Match": etag });
+    assert.equal(resp.status, 304);
+    assert.equal(await resp.text(), "");
+
+    const from = new Date(now - 10 * HOUR).toISOString();
+    const history = await (await get(`/api/items/item_aaa/history?from=${from}&qlt=0`)).json();
+    assert.equal(history.count, 21);
+    assert.ok(history.trades.every((t) => Date.parse(t.time) >= Date.parse(from)));
+    assert.equal((await (await get("/api/items/item_aaa/history?qlt=3")).json()).count, 0);
+
+    const outliers = await (await get("/api/items/item_aaa/outliers?window=7d")).json();
+    assert.equal(outliers.window, "7d");
+    assert.ok(Array.isArray(outliers.outliers));
+
+    assert.equal((await get("/api/items/nope/prices")).status, 404);
+    resp = await get("/api/items/item_aaa/prices?window=soon");
+    assert.equal(resp.status, 400);
+    assert.match((await resp.json()).error, /Invalid window "soon"/);
+    assert.equal((await get("/api/items/item_aaa/history?region=../x")).status, 400);
+
+    // The pages and feeds are served as they are; nothing outside the root or hidden.
+    resp = await get("/prices.json");
+    assert.equal(resp.status, 200);
+    assert.match(resp.headers.get("content-type"), /application\/json/);
+    assert.equal(resp.headers.get("access-control-allow-origin"), null, "only the API is open to other origins");
+    assert.equal((await get("/%2e%2e/package.json")).status, 404);
+    assert.equal((await fetch(`${api.url}/api/items`, { method: "POST" })).status, 405);
+
+    // Only published paths: not the token-holding proxy, the name cache or the quarantine.
+    await fs.writeFile(path.join(dir, "server.js"), "const TOKEN = 'secret';");
+    await fs.writeFile(path.join(dir, "names_cache.json"), "{}");
+    for (const hidden of ["/server.js", "/names_cache.json", "/items.json/../server.js", "/test/x.js"]) {
+      resp = await get(hidden, { Origin: "http://evil.example" });
+      assert.equal(resp.status, 404, hidden);
+      assert.equal(resp.headers.get("access-control-allow-origin"), null);
+    }
+    assert.equal((await get("/index.html")).status, 404, "published but absent in this scratch dir");
+    assert.equal((await get("/feeds/na/prices.json")).status, 200);
+
+    // A malformed escape is the client's mistake, not a server error.
+    resp = await get("/api/items/%E0%A4%A/prices");
+    assert.equal(resp.status, 400);
+    assert.match((await resp.json()).error, /Malformed path/);
+    assert.equal((await get("/feeds/%E0%A4%A")).status, 400);
+
+    assert.equal(sim.stats.requests, requests, "the API never calls the host");
+  } finally {
+    await api?.close();
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* ------------------------------------------------------------ alerts */
+
+test("alert rules fire on thresholds, moves and staleness", async () => {
+  const { evaluateRules } = await import("../lib/alerts.js");
+  const feeds = {
+    na: {
+      prices: {
+        cheap: { avg7d: 65_000, median24h: 80_000, median7d: 68_000 },
+        old: { avg7d: 10, stale: true, staleSince: new Date(now - 72 * HOUR).toISOString() },
+        fine: { avg7d: 90_000, median24h: 90_000, median7d: 88_000 }
+      }
+    }
+  };
+  const rules = [
+    { id: "low", type: "threshold", item: "*", metric: "avg7d", below: 70_000 },
+    { id: "move", type: "change", item: "*", metric: "median24h", against: "median7d", pct: 15 },
+    { id: "stale", type: "stale", item: "*", hours: 48 },
+    { id: "eu-only", type: "threshold", item: "cheap", metric: "avg7d", below: 1e9, regions: ["eu"] }
+  ];
+  const firing = evaluateRules(rules, feeds, { now });
+  assert.deepEqual(firing.map((a) => a.id).sort(), ["low|na|cheap", "move|na|cheap", "stale|na|old"]);
+  assert.equal(firing.find((a) => a.rule === "move").value, 17.6);
+  assert.match(firing.find((a) => a.rule === "stale").message, /stale for 72h/);
+});
+
+test("bad alert rules are rejected with the rule named", async () => {
+  const { loadRules } = await import("../lib/alerts.js");
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sx-alerts-"));
+  const file = path.join(dir, "alerts.json");
+  await fs.writeFile(file, JSON.stringify({ rules: [{ id: "oops", item: "x", metric: "avg7d" }] }), "utf8");
+  await assert.rejects(loadRules(file), /alert rule oops: needs a numeric "below" or "above"/);
+  assert.equal(await loadRules(path.join(dir, "missing.json")), null);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("an alert is announced once while it keeps firing", async () => {
+  const { updateAlertState } = await import("../lib/alerts.js");
+  const alert = { id: "low|na|x", rule: "low", region: "na", item: "x", value: 1, message: "m" };
+
+  const first = updateAlertState({ active: {}, history: [] }, [alert], { now: "t1" });
+  assert.equal(first.announce.length, 1);
+  first.state.active[alert.id].notified = "t1";
+
+  const second = updateAlertState(first.state, [alert], { now: "t2" });
+  assert.equal(second.announce.length, 0);
+  assert.equal(second.state.active[alert.id].firstFired, "t1");
+
+  const third = updateAlertState(second.state, [], { now: "t3" });
+  assert.equal(third.resolved.length, 1);
+  assert.deepEqual(third.state.history.map((h) => h.event), ["resolved", "fired"]);
+
+  // An announcement that failed is retried.
+  const failed = updateAlertState({ active: {}, history: [] }, [alert], { now: "t1" });
+  assert.equal(updateAlertState(failed.state, [alert], { now: "t2" }).announce.length, 1);
+});
+
+test("a run posts new alerts to the webhook once", async () => {
+  const http = await import("http");
+  const posts = [];
+  const listener = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      posts.push(JSON.parse(body));
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => listener.listen(0, "127.0.0.1", resolve));
+  const webhook = `http://127.0.0.1:${listener.address().port}/hook`;
+
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  try {
+    await fs.writeFile(
+      path.join(dir, "alerts.json"),
+      JSON.stringify({ rules: [{ id: "pricey", item: "item_aaa", metric: "avg7d", above: 5_000 }] }),
+      "utf8"
+    );
+    assert.equal((await runPoller(dir, sim, { ALERT_WEBHOOK_URL: webhook })).code, 0);
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].username, "Stalcrafter-X");
+    assert.match(posts[0].content, /\*\*item_aaa\*\* \(na\): avg7d [\d,]+ is above 5,000/);
+
+    assert.equal((await runPoller(dir, sim, { ALERT_WEBHOOK_URL: webhook })).code, 0);
+    assert.equal(posts.length, 1, "still firing, not re-announced");
+
+    const fired = await readJson(path.join(dir, "alerts_fired.json"));
+    assert.deepEqual(fired.fired, []);
+    assert.ok(fired.active["pricey|na|item_aaa"].notified);
+
+    // A damaged state file starts afresh rather than failing the poll.
+    await fs.writeFile(path.join(dir, "alerts_fired.json"), "{ not json", "utf8");
+    assert.equal((await runPoller(dir, sim, { ALERT_WEBHOOK_URL: webhook })).code, 0);
+    assert.equal(posts.length, 2, "re-announced from the empty state");
+    assert.ok((await readJson(path.join(dir, "alerts_fired.json"))).active["pricey|na|item_aaa"].notified);
+  } finally {
+    await sim.close();
+    await new Promise((resolve) => listener.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* ----------------------------------------------------------- changes */
+
+test("changes between feeds list moves, staleness and new errors", async () => {
+  const { diffFeeds, appendRun } = await import("../lib/changes.js");
+  const previous = {
+    updated: "2026-01-01T00:00:00.000Z",
+    prices: {
+      up: { id: "u", avg24h: 100, avg7d: 100 },
+      flat: { id: "f", avg24h: 100, avg7d: 100 },
+      going: { id: "g", avg24h: 100, avg7d: 100 },
+      back: { id: "b", avg24h: 100, avg7d: 100, stale: true },
+      broken: { id: "x", avg24h: 100, avg7d: 100 }
+    }
+  };
+  const current = {
+    updated: "2026-01-01T01:00:00.000Z",
+    prices: {
+      up: { id: "u", avg24h: 100, avg7d: 112 },
+      flat: { id: "f", avg24h: 103, avg7d: 101 },
+      going: { id: "g", avg24h: 100, avg7d: 100, stale: true, staleSince: "2026-01-01T01:00:00.000Z" },
+      back: { id: "b", avg24h: 80, avg7d: 95 },
+      broken: { id: "x", error: "HTTP 500" },
+      added: { id: "n", avg24h: 1, avg7d: 1 }
+    }
+  };
+
+  const run = diffFeeds(previous, current, { thresholdPct: 5, topMovers: 2 });
+  assert.equal(run.previous, previous.updated);
+  assert.deepEqual(run.moved.map((m) => m.key), ["up", "back"]);
+  assert.deepEqual(run.moved[0].avg7d, { from: 100, to: 112, pct: 12 });
+  assert.deepEqual(run.becameStale, [{ key: "going", id: "g", staleSince: "2026-01-01T01:00:00.000Z" }]);
+  assert.deepEqual(run.freshAgain, [{ key: "back", id: "b" }]);
+  assert.deepEqual(run.newErrors, [{ key: "broken", id: "x", error: "HTTP 500" }]);
+  assert.deepEqual(run.topMovers.map((m) => [m.key, m.metric, m.pct]), [["back", "avg24h", -20], ["up", "avg7d", 12]]);
+
+  const first = diffFeeds(null, previous);
+  assert.deepEqual([first.previous, first.moved, first.topMovers], [null, [], []]);
+
+  const changes = appendRun(appendRun(null, "na", first), "na", run, { keep: 1 });
+  assert.deepEqual(changes.runs, [run]);
+});
+
+test("each run adds its changes to changes.json", async () => {
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    let changes = await readJson(path.join(dir, "changes.json"));
+    assert.equal(changes.runs.length, 1);
+    assert.equal(changes.runs[0].previous, null);
+
+    // Halve the published 7d average, so the next run sees it double back.
+    const feed = await readJson(path.join(dir, "feeds", "na", "prices.json"));
+    const avg7d = feed.prices.item_aaa.avg7d;
+    feed.prices.item_aaa.avg7d = avg7d / 2;
+    await fs.writeFile(path.join(dir, "feeds", "na", "prices.json"), JSON.stringify(feed));
+
+    assert.equal((await runPoller(dir, sim, { CHANGE_THRESHOLD_PCT: "10" })).code, 0);
+    changes = await readJson(path.join(dir, "changes.json"));
+    assert.deepEqual(changes, await readJson(path.join(dir, "feeds", "na", "changes.json")));
+    assert.equal(changes.runs.length, 2);
+    const [latest] = changes.runs;
+    assert.equal(latest.updated, (await readJson(path.join(dir, "prices.json"))).updated);
+    assert.equal(latest.previous, feed.updated);
+    assert.deepEqual(latest.moved.map((m) => m.key), ["item_aaa"]);
+    assert.deepEqual(latest.moved[0].avg7d, { from: avg7d / 2, to: avg7d, pct: 100 });
+    assert.equal(latest.topMovers[0].key, "item_aaa");
+
+    assert.equal((await runPoller(dir, sim, { CHANGES_KEEP_RUNS: "2" })).code, 0);
+    changes = await readJson(path.join(dir, "changes.json"));
+    assert.equal(changes.runs.length, 2);
+    assert.deepEqual(changes.runs[0].moved, []);
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("each run is recorded in run_history.json, bans included", async () => {
+  const sim = await startSimulator(simOptions());
+  const banning = await startSimulator(simOptions({ schedule: ["stub", "420"] }));
+  const dir = await scratchRun(["aaa", "bbb"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    let runs = (await readJson(path.join(dir, "run_history.json"))).runs;
+    assert.equal(runs.length, 1);
+    const [first] = runs;
+    assert.equal(first.finished, JSON.parse(await fs.readFile(path.join(dir, "run_history.json"), "utf8")).updated);
+    assert.ok(Date.parse(first.started) <= Date.parse(first.finished));
+    assert.equal(first.requests, sim.stats.requests);
+    assert.deepEqual([first.stubsRejected, first.stubRate, first.banned, first.carriedForward], [0, 0, false, 0]);
+    assert.deepEqual(Object.keys(first.regions), ["na"]);
+    assert.equal(first.regions.na.polled, 2);
+
+    assert.equal((await runPoller(dir, banning, { STUB_RETRIES: "1" })).code, 1);
+    runs = (await readJson(path.join(dir, "run_history.json"))).runs;
+    assert.equal(runs.length, 2);
+    assert.deepEqual([runs[0].banned, runs[0].stoppedBy, runs[0].stubsRejected, runs[0].stubRate], [true, "ban", 1, 0.5]);
+    const { source } = await readJson(path.join(dir, "market.json"));
+    assert.ok(runs[0].carriedForward > 0);
+    assert.equal(runs[0].carriedForward, source.carriedForward);
+    assert.equal(runs[0].regions.na.requests, source.requests);
+
+    assert.equal((await runPoller(dir, sim, { RUN_HISTORY_KEEP: "2" })).code, 0);
+    runs = (await readJson(path.join(dir, "run_history.json"))).runs;
+    assert.deepEqual(runs.map((r) => r.banned), [false, true]);
+  } finally {
+    await sim.close();
+    await banning.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* ----------------------------------------------------------- recipes */
+
+test("a recipe is costed from its raw materials with byproducts credited", async () => {
+  const { indexRecipes, costRecipe } = await import("../lib/recipes.js");
+  const recipes = indexRecipes({
+    recipes: [
+      { output: "std", ingredients: [{ item: "cheap", qty: 2 }, { item: "glue", qty: 1 }] },
+      { output: "adv", ingredients: [{ item: "std", qty: 2 }, { item: "oil", qty: 1 }], byproducts: [{ item: "bottle", qty: 1 }] }
+    ]
+  });
+  const prices = {
+    cheap: { avg24h: 90, avg7d: 100 },
+    glue: { avg24h: 50, avg7d: null },
+    oil: { avg7d: 30, stale: true },
+    bottle: { avg7d: 10 },
+    adv: { avg7d: 1_000 }
+  };
+
+  const result = costRecipe(recipes, "adv", { crafts: 2, prices });
+  const leaf = Object.fromEntries(result.leaves.map((l) => [l.item, l]));
+  assert.equal(leaf.cheap.qty, 8);
+  assert.equal(leaf.glue.qty, 4);
+  assert.equal(leaf.glue.basis, "24h");
+  assert.deepEqual(leaf.oil.flags, ["stale"]);
+  assert.equal(result.cost, 8 * 100 + 4 * 50 + 2 * 30);
+  assert.equal(result.byproductCredit, 20);
+  assert.equal(result.value, 2_000);
+  assert.equal(result.perCraft.profit, (2_000 - 1_040) / 2);
+  assert.equal(result.tree.children[0].crafts, 4);
+  assert.equal(result.complete, true);
+
+  const missing = costRecipe(recipes, "adv", { prices: { ...prices, cheap: { error: "fetch failed" } } });
+  assert.equal(missing.complete, false);
+  assert.deepEqual(missing.flagged.find((p) => p.item === "cheap").flags, ["missing"]);
+});
+
+test("bad recipes and recipe cycles are rejected", async () => {
+  const { indexRecipes, costRecipe } = await import("../lib/recipes.js");
+  assert.throws(() => indexRecipes({}), /"recipes" array/);
+  assert.throws(() => indexRecipes([{ output: "a", ingredients: [] }]), /recipe a has no ingredients/);
+  assert.throws(() => indexRecipes([{ output: "a", ingredients: [{ item: "b", qty: 0 }] }]), /positive "qty"/);
+
+  const cyclic = indexRecipes([
+    { output: "a", ingredients: [{ item: "b", qty: 1 }] },
+    { output: "b", ingredients: [{ item: "a", qty: 1 }] }
+  ]);
+  assert.throws(() => costRecipe(cyclic, "a"), /Recipe cycle: a → b → a/);
+
+  const items = { items: [{ key: "a", id: "aaa" }, { key: "b", id: "bbb" }] };
+  assert.equal(indexRecipes([{ output: "a", ingredients: [{ item: "b", qty: 1 }] }], { items }).size, 1);
+  assert.throws(
+    () => indexRecipes([{ output: "a", ingredients: [{ item: "b", qty: 1 }, { item: "bb", qty: 1 }] }], { items }),
+    /recipe a: bb not in items\.json/
+  );
+  assert.throws(
+    () => indexRecipes([{ output: "c", ingredients: [{ item: "a", qty: 1 }] }], { items: new Set(["a"]) }),
+    /recipe c: c not in items\.json/
+  );
+
+  const readRepo = async (file) => JSON.parse(await fs.readFile(new URL(`../${file}`, import.meta.url), "utf8"));
+  const shipped = indexRecipes(await readRepo("recipes.json"), { items: await readRepo("items.json") });
+  for (const output of shipped.keys()) costRecipe(shipped, output);
+});
+
+/* ------------------------------------------------------------ charts */
+
+test("chart series flag outliers per tier and follow a rolling median", async () => {
+  const { chartSeries } = await import("../brow/price_chart.js");
+  const at = (hoursAgo) => new Date(now - hoursAgo * HOUR).toISOString();
+  const trades = [];
+  for (let h = 1; h <= 48; h++) {
+    trades.push({ time: at(h), price: 100 + (h % 3), amount: 1, additional: { qlt: 0 } });
+    trades.push({ time: at(h + 0.5), price: 50_000 + (h % 3) * 10, amount: 1, additional: { qlt: 3 } });
+  }
+  trades.push({ time: at(5.2), price: 9_000, amount: 1, additional: { qlt: 0 } });
+  trades.push({ time: at(24 * 40), price: 100, amount: 1, additional: { qlt: 0 } });
+
+  const week = chartSeries(trades, { range: "7d", now });
+  assert.deepEqual(week.tiers, [0, 3]);
+  assert.equal(week.points.length, 97, "the 40-day-old trade is outside the range");
+  assert.equal(week.outliers, 1, "the tier-3 prices do not make tier 0 an outlier, or the reverse");
+  assert.equal(week.points.find((p) => p.outlier).unitPrice, 9_000);
+  const tier0 = week.lines.find((l) => l.tier === 0).points;
+  assert.ok(tier0.every((p) => p.value >= 100 && p.value <= 102));
+
+  const hidden = chartSeries(trades, { range: "7d", now, hiddenTiers: [3] });
+  assert.equal(hidden.points.length, 49);
+  assert.deepEqual(hidden.lines.map((l) => l.tier), [0]);
+
+  assert.equal(chartSeries(trades, { range: "24h", now }).points.filter((p) => p.qlt === 0).length, 25);
+  assert.equal(chartSeries(trades, { range: "90d", now }).points.length, 98);
+});
+
+test("the modules the browser shares load without process.env", async () => {
+  // A read of process.env from any repo module while importing them throws; Node's
+  // own loader still reads it.
+  const script = `
+    const env = process.env;
+    Object.defineProperty(process, "env", {
+      get() {
+        if (/\\/(lib|brow)\\/\\w+\\.js/.test(new Error().stack)) throw new Error("process.env read");
+        return env;
+      }
+    });
+    await import(${JSON.stringify(new URL("../lib/stats.js", import.meta.url).href)});
+    await import(${JSON.stringify(new URL("../lib/source.js", import.meta.url).href)});
+    await import(${JSON.stringify(new URL("../brow/drop_in.js", import.meta.url).href)});
+  `;
+  const { code, stderr } = await new Promise((resolve) => {
+    execFile(process.execPath, ["--input-type=module", "-e", script], { timeout: 30_000 }, (err, stdout, stderr) =>
+      resolve({ code: err ? err.code ?? 1 : 0, stderr })
+    );
+  });
+  assert.equal(code, 0, stderr);
+});
+
+test("the browser's item stats match the published feed for the same trades", async () => {
+  const { Source } = await import("../lib/source.js");
+  const { getItemStats } = await import("../brow/drop_in.js");
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    const published = (await readJson(path.join(dir, "prices.json"))).prices.item_aaa;
+
+    // Settings and fetch are options, not environment variables.
+    const sent = [];
+    const source = new Source({
+      baseUrl: sim.url,
+      requestsPerMinute: 60_000,
+      userAgent: null,
+      fetch: (url, init) => {
+        sent.push(init.headers);
+        return fetch(url, init);
+      }
+    });
+    const { stats24h, stats7d, pages } = await getItemStats("aaa", "na", { source });
+    assert.deepEqual(pages, { accepted: 2, rejected: 0 });
+    assert.ok(sent.length === 2 && sent.every((headers) => !("User-Agent" in headers)));
+
+    assert.deepEqual(
+      [stats24h.avg, stats24h.median, stats24h.count, stats24h.cleanCount],
+      [published.avg24h, published.median24h, published.sampleCountLast24h, published.cleanSampleCount24h]
+    );
+    assert.deepEqual(
+      [stats7d.avg, stats7d.mean, stats7d.median, stats7d.min, stats7d.max, stats7d.totalUnits, stats7d.outliersRemoved],
+      [published.avg7d, published.mean7d, published.median7d, published.min7d, published.max7d, published.totalUnits7d, published.outliersRemoved7d]
+    );
+  } finally {
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("the browser caches trades, walks only new pages and falls back when the live call fails", async () => {
+  const { Source } = await import("../lib/source.js");
+  const { startApiServer } = await import("../lib/api_server.js");
+  const { getItemStats } = await import("../brow/drop_in.js");
+  const { TradeCache } = await import("../brow/trade_cache.js");
+  const sim = await startSimulator(simOptions());
+  const dir = await scratchRun(["aaa"]);
+  let api = null;
+  try {
+    assert.equal((await runPoller(dir, sim)).code, 0);
+    api = await startApiServer({ root: dir, port: 0 });
+    const historyBase = `${api.url}/history`;
+    const source = new Source({ baseUrl: sim.url, requestsPerMinute: 60_000, userAgent: null });
+    const down = new Source({
+      baseUrl: sim.url,
+      httpRetries: 0,
+      userAgent: null,
+      fetch: async () => {
+        throw new Error("offline");
+      }
+    });
+    const cache = new TradeCache();
+
+    const first = await getItemStats("aaa", "na", { source, cache, historyBase });
+    assert.deepEqual(first.sources, ["live"]);
+    assert.equal(first.live.ok, true);
+    assert.equal(first.from["7d"].live, first.stats7d.count);
+    const cached = await cache.get("na", "aaa");
+    assert.equal(cached.trades.length, first.trades.length);
+
+    // With the cache, the walk stops where it meets trades it already has.
+    const second = await getItemStats("aaa", "na", { source, cache, historyBase });
+    assert.deepEqual([second.live.pages.accepted, second.live.stop], [1, "overlap"]);
+    assert.equal((await cache.get("na", "aaa")).trades.length, cached.trades.length);
+    assert.equal(second.stats7d.median, first.stats7d.median);
+
+    // Live down: the cache answers, with the archive's trades merged in.
+    const offline = await getItemStats("aaa", "na", { source: down, cache, historyBase });
+    assert.equal(offline.live.ok, false);
+    assert.match(offline.live.error, /Gave up/);
+    assert.ok(offline.sources.includes("cache"));
+    assert.equal(offline.stats7d.median, first.stats7d.median);
+    assert.equal(offline.from["7d"].live, 0);
+
+    // Live down and nothing cached: the committed history/ archive answers.
+    const fresh = await getItemStats("aaa", "na", { source: down, cache: new TradeCache(), historyBase });
+    assert.deepEqual(fresh.sources, ["history"]);
+    assert.equal(fresh.stats7d.median, first.stats7d.median);
+
+    // And with neither, the error says so.
+    await assert.rejects(
+      getItemStats("zzz", "na", { source: down, cache: new TradeCache(), historyBase }),
+      /nothing cached or published/
+    );
+  } finally {
+    await api?.close();
+    await sim.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});